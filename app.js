@@ -8,1044 +8,3051 @@
  * - Enhanced user experience
  */
 
-// ===== APPLICATION STATE =====
-class NotesApp {
+// ===== VAULT ENCRYPTION SETTINGS =====
+// Notes, categories and tags are stored as AES-GCM ciphertext. The key is
+// derived from the login password with PBKDF2 and only ever held in memory.
+const VAULT_KDF_ITERATIONS = 600000;
+const VAULT_SALT_BYTES = 16;
+const VAULT_IV_BYTES = 12;
+
+// ===== PASSWORD HASHING SETTINGS =====
+// Raising PASSWORD_KDF_ITERATIONS re-hashes existing accounts on next sign-in.
+const PASSWORD_KDF_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+
+// ===== STORAGE REPOSITORY =====
+// IndexedDB-backed persistence. Each note is its own encrypted record, so a
+// save only rewrites the notes that changed instead of every user's data.
+// The category and tag indexes hold HMAC values (see blindIndex()), never
+// the names themselves.
+const STORAGE_DB_NAME = 'private-vault';
+const STORAGE_DB_VERSION = 2;
+// Accounts from the old localStorage blob that failed validation are moved
+// here instead of being dropped, so they can still be recovered by hand
+const LEGACY_REJECTED_USERS_KEY = 'users-rejected';
+
+// ===== VERSION HISTORY SETTINGS =====
+// The newest HISTORY_RECENT_VERSIONS snapshots are always kept; older ones
+// are thinned to the last snapshot of each day for HISTORY_DAILY_DAYS days.
+const HISTORY_RECENT_VERSIONS = 20;
+const HISTORY_DAILY_DAYS = 30;
+const HISTORY_MAX_VERSIONS = 100;
+// Past this many differing tokens a diff goes by lines, and past it again
+// the changed middle is shown as one removal plus one insertion
+const HISTORY_DIFF_MAX_TOKENS = 2000;
+
+// ===== ENCRYPTED BACKUP FORMAT =====
+// Backups are self-describing envelopes. The header (KDF parameters, salt,
+// IV) is bound to the ciphertext as AES-GCM additional data, so editing it
+// makes decryption fail rather than quietly weakening the file.
+const BACKUP_FORMAT = 'private-vault-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000;
+// The header is only authenticated after the key is derived, so iteration
+// counts outside this range are refused rather than run
+const BACKUP_MIN_KDF_ITERATIONS = 100000;
+const BACKUP_MAX_KDF_ITERATIONS = 5000000;
+const BACKUP_MIN_PASSPHRASE_LENGTH = 8;
+
+// ===== DATA SCHEMA VERSION =====
+// Bump DATA_SCHEMA_VERSION together with a DATA_MIGRATIONS entry that
+// upgrades { notes, categories, tags } from the previous version. Exports
+// carry it as "version" ('2.0' and earlier predate this table).
+const DATA_SCHEMA_VERSION = 6;
+const DATA_MIGRATIONS = {
+    // 1 -> 2: early exports had no tags, plain text or favorites
+    1: (data) => ({
+        ...data,
+        notes: data.notes.map(note => {
+            if (!note || typeof note !== 'object') return note;
+            const now = new Date().toISOString();
+            return {
+                ...note,
+                title: note.title === undefined ? '' : note.title,
+                content: note.content === undefined ? '' : note.content,
+                plainText: typeof note.plainText === 'string'
+                    ? note.plainText
+                    : MarkdownConverter.toPlainText(typeof note.content === 'string' ? note.content : ''),
+                category: note.category || null,
+                tags: note.tags === undefined ? [] : note.tags,
+                isPinned: !!note.isPinned,
+                isFavorite: !!note.isFavorite,
+                color: note.color || '#ffffff',
+                createdAt: note.createdAt || note.modifiedAt || now,
+                modifiedAt: note.modifiedAt || note.createdAt || now
+            };
+        }),
+        categories: data.categories.map(category => category && typeof category === 'object'
+            ? { ...category, color: category.color || '#3b82f6', count: 0 }
+            : category)
+    }),
+    // 2 -> 3: notes gained a trash timestamp
+    2: (data) => ({
+        ...data,
+        notes: data.notes.map(note => note && typeof note === 'object'
+            ? { ...note, deletedAt: note.deletedAt || null }
+            : note)
+    }),
+    // 3 -> 4: category note counts are computed, no longer stored
+    3: (data) => ({
+        ...data,
+        categories: data.categories.map(category => {
+            if (!category || typeof category !== 'object') return category;
+            const { count, ...rest } = category;
+            return rest;
+        })
+    }),
+    // 4 -> 5: categories became notebooks that can nest; existing ones stay top level
+    4: (data) => ({
+        ...data,
+        categories: data.categories.map(category => category && typeof category === 'object'
+            ? { ...category, parentId: category.parentId || null }
+            : category)
+    }),
+    // 5 -> 6: notes gained a due date and a record of when its reminder went off
+    5: (data) => ({
+        ...data,
+        notes: data.notes.map(note => note && typeof note === 'object'
+            ? { ...note, dueAt: note.dueAt || null, remindedAt: note.remindedAt || null }
+            : note)
+    })
+};
+
+// ===== SHARE TARGET =====
+// The service worker parks content shared to the app in this cache until a
+// signed-in user saves or discards it. Keep in sync with service-worker.js.
+const SHARE_QUEUE_CACHE = 'private-vault-share-queue';
+
+// ===== REMINDERS =====
+// Due reminders are shown by the page while it is open. For when it isn't,
+// the service worker gets each user's pending note ids and due times (never
+// titles, which stay encrypted) in this cache and checks them on periodic
+// sync. Keep in sync with service-worker.js.
+const REMINDER_CACHE = 'private-vault-reminders';
+const REMINDER_SYNC_TAG = 'note-reminders';
+const REMINDER_SYNC_INTERVAL = 15 * 60 * 1000;
+const REMINDER_MAX_DELAY = 60 * 60 * 1000; // long timers drift while the device sleeps
+
+// ===== WIKI LINKS =====
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g; // [[Note title]]
+const WIKI_LINK_SUGGESTION_LIMIT = 8;
+
+// ===== NOTEBOOKS =====
+// Notebooks are the categories records; parentId nests them. Note cards
+// dragged onto the sidebar tree carry their ids under this type.
+const NOTE_DRAG_TYPE = 'application/x-private-vault-notes';
+
+// ===== CHECKLISTS =====
+// Quill stores checklist items as <ul data-checked="true|false"><li>, one
+// list per run of items that share a state
+const CHECKLIST_ITEM_SELECTOR = 'ul[data-checked] > li';
+const CARD_TASK_LIMIT = 5; // items a note card shows before "+N more"
+
+// ===== NOTE COLORS =====
+// Same palette as the notebook color picker, in sort order. White is the
+// default and leaves the card untinted.
+const NOTE_DEFAULT_COLOR = '#ffffff';
+const NOTE_COLORS = [
+    { name: 'blue', value: '#3b82f6' },
+    { name: 'green', value: '#10b981' },
+    { name: 'amber', value: '#f59e0b' },
+    { name: 'red', value: '#ef4444' },
+    { name: 'purple', value: '#8b5cf6' },
+    { name: 'cyan', value: '#06b6d4' }
+];
+
+// ===== TAGS =====
+// Tags nest with "/" (project/alpha/design); a parent tag matches its children
+const TAG_SEPARATOR = '/';
+const TAG_SEGMENT_MAX_LENGTH = 20;
+const TAG_MAX_DEPTH = 4;
+
+// ===== SEARCH =====
+// Field prefixes understood by the search box, mapped to the term they build
+const SEARCH_FIELDS = {
+    tag: 'tag',
+    tags: 'tag',
+    cat: 'category',
+    category: 'category',
+    notebook: 'category',
+    nb: 'category',
+    is: 'is',
+    created: 'created',
+    modified: 'modified',
+    updated: 'modified',
+    color: 'color',
+    colour: 'color'
+};
+const SEARCH_IS_VALUES = {
+    pinned: 'isPinned',
+    favorite: 'isFavorite',
+    favorites: 'isFavorite',
+    favourite: 'isFavorite',
+    fav: 'isFavorite'
+};
+
+// ===== SEARCH INDEX =====
+const SEARCH_INDEX_VERSION = 1; // bump when tokenizing changes so stored entries are rebuilt
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+const SEARCH_BM25_K1 = 1.2;
+const SEARCH_BM25_B = 0.75;
+const SEARCH_SNIPPET_LEAD = 40; // characters of context kept before the first match
+
+// ===== TRASH SETTINGS =====
+const DEFAULT_TRASH_RETENTION_DAYS = 30; // 0 keeps trashed notes forever
+
+class VaultStorage {
     constructor() {
-        this.currentUser = null;
-        this.notes = [];
-        this.categories = [];
-        this.tags = [];
-        this.allTags = new Set(); // Track all available tags
-        this.currentNote = null;
-        this.searchQuery = '';
-        this.activeFilter = 'all';
-        this.activeCategory = null;
-        this.activeTag = null;
-        this.sortBy = 'dateModified';
-        this.viewMode = 'grid';
-        this.quillEditor = null;
-        this.isInitialized = false;
-        this.deferredPrompt = null;
-        this.sidebarCollapsed = false;
-        this.isOffline = !navigator.onLine;
-        
-        // Bind methods
-        this.debounce = this.debounce.bind(this);
-        this.showToast = this.showToast.bind(this);
-        
-        // Listen for online/offline events
-        window.addEventListener('online', () => {
-            this.isOffline = false;
-            this.showToast('Back online!', 'success');
-            this.syncOfflineChanges();
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+
+                    if (!db.objectStoreNames.contains('users')) {
+                        db.createObjectStore('users', { keyPath: 'username' });
+                    }
+
+                    if (!db.objectStoreNames.contains('notes')) {
+                        const notes = db.createObjectStore('notes', { keyPath: ['owner', 'id'] });
+                        notes.createIndex('owner', 'owner');
+                        notes.createIndex('modifiedAt', ['owner', 'modifiedAt']);
+                        notes.createIndex('category', ['owner', 'category']);
+                        notes.createIndex('tags', 'tags', { multiEntry: true });
+                    }
+
+                    if (!db.objectStoreNames.contains('versions')) {
+                        db.createObjectStore('versions', { keyPath: ['owner', 'noteId', 'savedAt'] });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs `work` inside one transaction and resolves with the result of the
+    // request it returns (if any) once the transaction has committed.
+    async run(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = work(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
         });
-        
-        window.addEventListener('offline', () => {
-            this.isOffline = true;
-            this.showToast('Working offline', 'info');
+    }
+
+    getUser(username) {
+        return this.run('users', 'readonly', tx => tx.objectStore('users').get(username));
+    }
+
+    putUser(user) {
+        return this.run('users', 'readwrite', tx => {
+            tx.objectStore('users').put(user);
         });
     }
 
-    // ===== INITIALIZATION =====
-    async init() {
-        if (this.isInitialized) return;
-        
-        try {
-            await this.preloadCriticalResources();
-            await this.setupEventListeners();
-            await this.initializePWA();
-            await this.checkAutoLogin();
-            this.setupKeyboardShortcuts();
-            this.isInitialized = true;
-            console.log('Notes App initialized successfully');
-            
-            // Show offline status if needed
-            if (this.isOffline) {
-                this.showToast('App ready - working offline', 'info');
-            }
-        } catch (error) {
-            console.error('Error initializing app:', error);
-            this.showToast('App initialized with limited functionality', 'warning');
-        }
+    getNotes(owner) {
+        return this.run('notes', 'readonly', tx => tx.objectStore('notes').index('owner').getAll(owner));
     }
 
-    // ===== PRELOAD CRITICAL RESOURCES =====
-    async preloadCriticalResources() {
-        try {
-            // Cache essential data for offline use
-            const userData = this.loadUsers();
-            if ('caches' in window) {
-                const cache = await caches.open('private-vault-user-data');
-                await cache.put('/user-data', new Response(JSON.stringify(userData)));
-            }
-        } catch (error) {
-            console.warn('Could not preload resources:', error);
-        }
+    // Writes the user record and changed notes atomically; deleted notes
+    // take their version history with them
+    saveVault(user, notes, deletedNoteIds) {
+        return this.run(['users', 'notes', 'versions'], 'readwrite', tx => {
+            const notesStore = tx.objectStore('notes');
+            const versionsStore = tx.objectStore('versions');
+            tx.objectStore('users').put(user);
+            notes.forEach(note => notesStore.put(note));
+            deletedNoteIds.forEach(id => {
+                notesStore.delete([user.username, id]);
+                versionsStore.delete(this.noteVersionRange(user.username, id));
+            });
+        });
     }
 
-    // ===== PWA FEATURES =====
-    async initializePWA() {
-        // Register enhanced service worker
-        if ('serviceWorker' in navigator) {
-            try {
-                const registration = await navigator.serviceWorker.register('/service-worker.js');
-                console.log('SW registered:', registration);
-                
-                // Listen for service worker updates
-                registration.addEventListener('updatefound', () => {
-                    const newWorker = registration.installing;
-                    newWorker.addEventListener('statechange', () => {
-                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                            this.showToast('App updated! Refresh to see changes.', 'success');
-                        }
-                    });
-                });
-                
-                // Listen for service worker messages
-                navigator.serviceWorker.addEventListener('message', event => {
-                    this.handleServiceWorkerMessage(event.data);
-                });
-                
-            } catch (error) {
-                console.log('SW registration failed:', error);
-            }
-        }
+    noteVersionRange(owner, noteId) {
+        return IDBKeyRange.bound([owner, noteId, ''], [owner, noteId, '\uffff']);
+    }
 
-        // Handle install prompt
-        window.addEventListener('beforeinstallprompt', (e) => {
-            e.preventDefault();
-            this.deferredPrompt = e;
-            this.showInstallBanner();
+    getNoteVersions(owner, noteId) {
+        return this.run('versions', 'readonly', tx =>
+            tx.objectStore('versions').getAll(this.noteVersionRange(owner, noteId)));
+    }
+
+    async getLatestNoteVersion(owner, noteId) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction('versions', 'readonly').objectStore('versions')
+                .openCursor(this.noteVersionRange(owner, noteId), 'prev');
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
         });
+    }
 
-        // Handle app installed
-        window.addEventListener('appinstalled', () => {
-            this.hideInstallBanner();
-            this.showToast('App installed successfully!', 'success');
+    async getNoteVersionTimestamps(owner, noteId) {
+        const keys = await this.run('versions', 'readonly', tx =>
+            tx.objectStore('versions').getAllKeys(this.noteVersionRange(owner, noteId)));
+        return keys.map(([, , savedAt]) => savedAt);
+    }
+
+    addNoteVersion(version) {
+        return this.run('versions', 'readwrite', tx => {
+            tx.objectStore('versions').put(version);
         });
     }
 
-    handleServiceWorkerMessage(data) {
-        if (!data || !data.type) return;
-        
-        switch (data.type) {
-            case 'CACHE_UPDATED':
-                this.showToast('App updated and cached for offline use', 'success');
-                break;
-            case 'OFFLINE_READY':
-                this.showToast('App ready for offline use', 'info');
-                break;
-            case 'SYNC_COMPLETE':
-                this.showToast(data.success ? 'Data synced' : 'Sync failed', data.success ? 'success' : 'error');
-                break;
-        }
+    deleteNoteVersions(owner, noteId, savedAts) {
+        return this.run('versions', 'readwrite', tx => {
+            const store = tx.objectStore('versions');
+            savedAts.forEach(savedAt => store.delete([owner, noteId, savedAt]));
+        });
     }
 
-    showInstallBanner() {
-        const banner = document.getElementById('install-banner');
-        if (banner) {
-            banner.classList.remove('hidden');
+    // One-time move of the old `users` localStorage blob. User records are
+    // copied as-is; their notes are split into per-note records on the next
+    // sign-in, since that needs the vault key. Resolves with { migrated,
+    // rejected }; nothing that was rejected is deleted.
+    async migrateFromLocalStorage() {
+        const legacy = localStorage.getItem('users');
+        if (!legacy) return { migrated: false, rejected: [] };
+
+        let users;
+        try {
+            users = JSON.parse(legacy);
+        } catch (error) {
+            users = null;
         }
-        
-        const installBtn = document.getElementById('install-btn');
-        if (installBtn) {
-            installBtn.onclick = async () => {
-                if (this.deferredPrompt) {
-                    this.deferredPrompt.prompt();
-                    const result = await this.deferredPrompt.userChoice;
-                    if (result.outcome === 'accepted') {
-                        console.log('User accepted install');
-                    }
-                    this.deferredPrompt = null;
-                    this.hideInstallBanner();
-                }
+        if (!users || typeof users !== 'object' || Array.isArray(users)) {
+            // Left in place; a damaged blob is still the only copy of those notes
+            return {
+                migrated: false,
+                rejected: [{ label: 'Stored accounts (localStorage "users")', errors: ['could not be read'] }]
             };
         }
 
-        const dismissBtn = document.getElementById('install-dismiss');
-        if (dismissBtn) {
-            dismissBtn.onclick = () => {
-                this.hideInstallBanner();
-            };
-        }
-    }
+        const rejected = [];
+        const rejectedUsers = {};
+        await this.run('users', 'readwrite', tx => {
+            const store = tx.objectStore('users');
+            Object.entries(users).forEach(([username, user]) => {
+                const record = { ...user, username };
+                const errors = DataSchema.validateUser(record);
+                if (errors.length) {
+                    rejected.push({ label: `Account "${username}"`, errors });
+                    rejectedUsers[username] = user;
+                    return;
+                }
+                store.put(record);
+            });
+        });
 
-    hideInstallBanner() {
-        const banner = document.getElementById('install-banner');
-        if (banner) {
-            banner.classList.add('hidden');
+        if (rejected.length) {
+            let kept;
+            try {
+                kept = JSON.parse(localStorage.getItem(LEGACY_REJECTED_USERS_KEY) || '{}');
+            } catch (error) {
+                kept = null;
+            }
+            if (!kept || typeof kept !== 'object' || Array.isArray(kept)) {
+                // Don't overwrite an earlier copy we can't read; the rejected
+                // accounts stay behind in the legacy blob instead
+                localStorage.setItem('users', JSON.stringify(rejectedUsers));
+                return { migrated: true, rejected };
+            }
+            localStorage.setItem(LEGACY_REJECTED_USERS_KEY, JSON.stringify({ ...kept, ...rejectedUsers }));
         }
+        localStorage.removeItem('users');
+        return { migrated: true, rejected };
     }
+}
 
-    // ===== EVENT LISTENERS =====
-    setupEventListeners() {
-        // Authentication
-        const signupBtn = document.getElementById('signup');
-        const loginBtn = document.getElementById('login');
-        const logoutBtn = document.getElementById('logout');
-        const togglePasswordBtn = document.getElementById('toggle-password');
-        
-        if (signupBtn) signupBtn.addEventListener('click', () => this.handleSignup());
-        if (loginBtn) loginBtn.addEventListener('click', () => this.handleLogin());
-        if (logoutBtn) logoutBtn.addEventListener('click', () => this.handleLogout());
-        if (togglePasswordBtn) togglePasswordBtn.addEventListener('click', (e) => this.togglePasswordVisibility(e));
+// ===== DATA SCHEMA =====
+// Stored and imported data is upgraded one version at a time and then
+// validated. Records that still don't fit are reported instead of loaded.
+class DataSchema {
+    static parseVersion(version) {
+        const major = parseInt(version, 10);
+        return Number.isFinite(major) && major > 0 ? major : 1;
+    }
 
-        // Search
-        const searchInput = document.getElementById('search-input');
-        const searchClear = document.getElementById('search-clear');
-        if (searchInput) {
-            searchInput.addEventListener('input', 
-                this.debounce((e) => this.handleSearch(e.target.value), 300));
+    // Returns { notes, categories, tags, rejected } at DATA_SCHEMA_VERSION;
+    // rejected is [{ label, errors, kind, record }] for the report shown to
+    // the user, with the record itself kept so callers can hold on to it.
+    static upgrade(data, version) {
+        const fromVersion = DataSchema.parseVersion(version);
+        if (fromVersion > DATA_SCHEMA_VERSION) {
+            throw new Error('This data was written by a newer version of Private Vault');
         }
-        if (searchClear) {
-            searchClear.addEventListener('click', () => this.clearSearch());
+
+        const copy = (record) => record && typeof record === 'object' && !Array.isArray(record) ? { ...record } : record;
+        let current = {
+            notes: Array.isArray(data.notes) ? data.notes.map(copy) : [],
+            categories: Array.isArray(data.categories) ? data.categories.map(copy) : [],
+            tags: Array.isArray(data.tags) ? data.tags : []
+        };
+        for (let v = fromVersion; v < DATA_SCHEMA_VERSION; v++) {
+            current = DATA_MIGRATIONS[v](current);
         }
 
-        // Navigation
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const filter = e.currentTarget.dataset.filter;
-                this.setActiveFilter(filter);
-            });
+        const rejected = [];
+        const keepValid = (records, kind, nameField, validate) => records.filter((record, index) => {
+            const errors = validate(record);
+            if (errors.length) {
+                let label = `${kind} #${index + 1}`;
+                if (record && typeof record[nameField] === 'string' && record[nameField]) {
+                    label = `${kind} "${record[nameField]}"`;
+                } else if (record && typeof record.id === 'string' && record.id) {
+                    label = `${kind} ${record.id}`;
+                }
+                rejected.push({ label, errors, kind, record });
+            }
+            return errors.length === 0;
         });
 
-        // Toolbar
-        const newNoteBtn = document.getElementById('new-note');
-        const emptyNewNoteBtn = document.getElementById('empty-new-note');
-        const gridViewBtn = document.getElementById('grid-view');
-        const listViewBtn = document.getElementById('list-view');
-        const bulkSelectBtn = document.getElementById('bulk-select');
-        
-        if (newNoteBtn) newNoteBtn.addEventListener('click', () => this.createNote());
-        if (emptyNewNoteBtn) emptyNewNoteBtn.addEventListener('click', () => this.createNote());
-        if (gridViewBtn) gridViewBtn.addEventListener('click', () => this.setViewMode('grid'));
-        if (listViewBtn) listViewBtn.addEventListener('click', () => this.setViewMode('list'));
-        if (bulkSelectBtn) bulkSelectBtn.addEventListener('click', () => this.toggleBulkSelect());
+        return {
+            notes: keepValid(current.notes, 'Note', 'title', DataSchema.validateNote),
+            categories: DataSchema.repairCategoryTree(keepValid(current.categories, 'Notebook', 'name', DataSchema.validateCategory)),
+            tags: current.tags.filter(tag => typeof tag === 'string' && tag.trim()),
+            rejected
+        };
+    }
 
-        // Sort dropdown
-        const sortBtn = document.getElementById('sort-btn');
-        if (sortBtn) {
-            sortBtn.addEventListener('click', () => this.toggleSortMenu());
-        }
-        document.querySelectorAll('[data-sort]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setSortBy(e.target.dataset.sort);
-                this.toggleSortMenu();
-            });
+    static validateNote(note) {
+        if (!note || typeof note !== 'object' || Array.isArray(note)) return ['not an object'];
+
+        const errors = [];
+        if (typeof note.id !== 'string' || !note.id) errors.push('missing id');
+        ['title', 'content', 'plainText'].forEach(field => {
+            if (typeof note[field] !== 'string') errors.push(`${field} is not text`);
+        });
+        if (note.category !== null && typeof note.category !== 'string') errors.push('category is not an id');
+        if (!Array.isArray(note.tags) || note.tags.some(tag => typeof tag !== 'string')) errors.push('tags is not a list of text');
+        ['isPinned', 'isFavorite'].forEach(field => {
+            if (typeof note[field] !== 'boolean') errors.push(`${field} is not true/false`);
+        });
+        ['createdAt', 'modifiedAt'].forEach(field => {
+            if (!DataSchema.isDate(note[field])) errors.push(`${field} is not a date`);
+        });
+        ['deletedAt', 'dueAt', 'remindedAt'].forEach(field => {
+            if (note[field] !== null && !DataSchema.isDate(note[field])) errors.push(`${field} is not a date`);
         });
+        return errors;
+    }
 
-        // Modals
-        const closeModalBtn = document.getElementById('close-modal');
-        const saveNoteBtn = document.getElementById('save-note');
-        const deleteNoteBtn = document.getElementById('delete-note');
-        
-        if (closeModalBtn) closeModalBtn.addEventListener('click', () => this.closeNoteModal());
-        if (saveNoteBtn) saveNoteBtn.addEventListener('click', () => this.saveCurrentNote());
-        if (deleteNoteBtn) deleteNoteBtn.addEventListener('click', () => this.deleteCurrentNote());
+    static validateCategory(category) {
+        if (!category || typeof category !== 'object' || Array.isArray(category)) return ['not an object'];
 
-        // Category management
-        const addCategoryBtn = document.getElementById('add-category');
-        const saveCategoryBtn = document.getElementById('save-category');
-        const cancelCategoryBtn = document.getElementById('cancel-category');
-        const closeCategoryModalBtn = document.getElementById('close-category-modal');
-        
-        if (addCategoryBtn) addCategoryBtn.addEventListener('click', () => this.showCategoryModal());
-        if (saveCategoryBtn) saveCategoryBtn.addEventListener('click', () => this.saveCategory());
-        if (cancelCategoryBtn) cancelCategoryBtn.addEventListener('click', () => this.closeCategoryModal());
-        if (closeCategoryModalBtn) closeCategoryModalBtn.addEventListener('click', () => this.closeCategoryModal());
+        const errors = [];
+        if (typeof category.id !== 'string' || !category.id) errors.push('missing id');
+        if (typeof category.name !== 'string' || !category.name.trim()) errors.push('missing name');
+        if (typeof category.color !== 'string') errors.push('color is not text');
+        if (category.parentId !== undefined && category.parentId !== null && typeof category.parentId !== 'string') errors.push('parentId is not an id');
+        return errors;
+    }
 
-        // Category selection
-        const noteCategoryBtn = document.getElementById('note-category-btn');
-        const closeCategorySelectModalBtn = document.getElementById('close-category-select-modal');
-        
-        if (noteCategoryBtn) noteCategoryBtn.addEventListener('click', () => this.showCategorySelectModal());
-        if (closeCategorySelectModalBtn) closeCategorySelectModalBtn.addEventListener('click', () => this.closeCategorySelectModal());
-
-        // FIXED: Tags management - Complete system
-        const addTagBtn = document.getElementById('add-tag');
-        const noteTagsBtn = document.getElementById('note-tags-btn');
-        const closeTagsModalBtn = document.getElementById('close-tags-modal');
-        const saveTagsBtn = document.getElementById('save-tags');
-        const cancelTagsBtn = document.getElementById('cancel-tags');
-        const closeCreateTagModalBtn = document.getElementById('close-create-tag-modal');
-        const saveCreateTagBtn = document.getElementById('save-create-tag');
-        const cancelCreateTagBtn = document.getElementById('cancel-create-tag');
-        
-        if (addTagBtn) addTagBtn.addEventListener('click', () => this.showCreateTagModal());
-        if (noteTagsBtn) noteTagsBtn.addEventListener('click', () => this.showTagsModal());
-        if (closeTagsModalBtn) closeTagsModalBtn.addEventListener('click', () => this.closeTagsModal());
-        if (saveTagsBtn) saveTagsBtn.addEventListener('click', () => this.saveTags());
-        if (cancelTagsBtn) cancelTagsBtn.addEventListener('click', () => this.closeTagsModal());
-        if (closeCreateTagModalBtn) closeCreateTagModalBtn.addEventListener('click', () => this.closeCreateTagModal());
-        if (saveCreateTagBtn) saveCreateTagBtn.addEventListener('click', () => this.saveCreateTag());
-        if (cancelCreateTagBtn) cancelCreateTagBtn.addEventListener('click', () => this.closeCreateTagModal());
-
-        // Tag input handling
-        const tagInput = document.getElementById('tag-input');
-        if (tagInput) {
-            tagInput.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ',') {
-                    e.preventDefault();
-                    this.addTagFromInput();
+    // Notebooks whose parent is missing or that would nest inside
+    // themselves are moved to the top level. Updates in place.
+    static repairCategoryTree(categories) {
+        const byId = new Map(categories.map(category => [category.id, category]));
+        categories.forEach(category => {
+            category.parentId = category.parentId || null;
+            const seen = new Set([category.id]);
+            let parentId = category.parentId;
+            while (parentId) {
+                if (!byId.has(parentId) || seen.has(parentId)) {
+                    category.parentId = null;
+                    break;
                 }
-            });
+                seen.add(parentId);
+                parentId = byId.get(parentId).parentId;
+            }
+        });
+        return categories;
+    }
+
+    static validateUser(user) {
+        if (!user || typeof user !== 'object' || Array.isArray(user)) return ['not an object'];
+
+        const errors = [];
+        if (typeof user.username !== 'string' || !user.username) errors.push('missing username');
+        if (typeof user.password !== 'string' || !user.password) errors.push('missing password hash');
+        if (user.passwordSalt !== undefined && typeof user.passwordSalt !== 'string') errors.push('passwordSalt is not text');
+        if (user.vault !== undefined) {
+            if (!user.vault || typeof user.vault !== 'object') {
+                errors.push('vault is not an object');
+            } else if (typeof user.vault.salt !== 'string' || !Number.isInteger(user.vault.iterations) || user.vault.iterations < 1) {
+                errors.push('vault key parameters are invalid');
+            }
         }
+        if (user.settings !== undefined && (typeof user.settings !== 'object' || Array.isArray(user.settings))) {
+            errors.push('settings is not an object');
+        }
+        return errors;
+    }
 
-        // Settings
-        const settingsBtn = document.getElementById('settings-btn');
-        const closeSettingsModalBtn = document.getElementById('close-settings-modal');
-        const exportBtn = document.getElementById('export-btn');
-        const exportAllBtn = document.getElementById('export-all');
-        const importNotesBtn = document.getElementById('import-notes');
-        
-        if (settingsBtn) settingsBtn.addEventListener('click', () => this.showSettingsModal());
-        if (closeSettingsModalBtn) closeSettingsModalBtn.addEventListener('click', () => this.closeSettingsModal());
-        if (exportBtn) exportBtn.addEventListener('click', () => this.exportNotes());
-        if (exportAllBtn) exportAllBtn.addEventListener('click', () => this.exportNotes());
-        if (importNotesBtn) importNotesBtn.addEventListener('click', () => this.importNotes());
+    static isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value));
+    }
 
-        // Sidebar toggle - FIXED
-        const sidebarToggleBtn = document.getElementById('sidebar-toggle');
-        if (sidebarToggleBtn) {
-            sidebarToggleBtn.addEventListener('click', () => this.toggleSidebar());
-        }
+    static formatReport(rejected) {
+        return rejected.map(({ label, errors }) => `${label}: ${errors.join(', ')}`).join('\n');
+    }
+}
 
-        // Modal backdrop clicks
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal-backdrop')) {
-                this.closeAllModals();
+// ===== MARKDOWN CONVERSION =====
+// Maps the formats the Quill toolbar offers to Markdown and back. Underline
+// and sub/superscript have no Markdown syntax, so they round-trip as inline
+// HTML; anything else is reduced to its text.
+class MarkdownConverter {
+    static fromHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+
+        const blocks = [];
+        let quoteLines = null;
+        let listLines = null;
+
+        const flush = () => {
+            if (quoteLines) blocks.push(quoteLines.join('\n'));
+            if (listLines) blocks.push(listLines.join('\n'));
+            quoteLines = null;
+            listLines = null;
+        };
+
+        const visit = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (!node.textContent.trim()) return;
+                flush();
+                blocks.push(MarkdownConverter.escapeBlockStart(MarkdownConverter.inlineFromNode(node)));
+                return;
             }
-        });
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.tagName;
+            if (tag === 'BLOCKQUOTE') {
+                if (listLines) flush();
+                quoteLines = quoteLines || [];
+                MarkdownConverter.inlineFromNode(node).split('\n').forEach(line => quoteLines.push(`> ${line}`));
+            } else if (tag === 'UL' || tag === 'OL') {
+                if (quoteLines) flush();
+                listLines = listLines || [];
+                MarkdownConverter.listFromNode(node, 0, listLines);
+            } else if (tag === 'PRE') {
+                flush();
+                const code = node.textContent.replace(/\n$/, '');
+                const fence = code.includes('```') ? '~~~' : '```';
+                blocks.push(`${fence}\n${code}\n${fence}`);
+            } else if (/^H[1-6]$/.test(tag)) {
+                flush();
+                const text = MarkdownConverter.inlineFromNode(node).replace(/\n/g, ' ').trim();
+                if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+            } else if (tag === 'DIV' && node.querySelector('p, div, ul, ol, pre, blockquote, h1, h2, h3, h4, h5, h6')) {
+                node.childNodes.forEach(visit);
+            } else {
+                flush();
+                const text = MarkdownConverter.inlineFromNode(node).trim();
+                if (text) blocks.push(text.split('\n').map(line => MarkdownConverter.escapeBlockStart(line)).join('\n'));
+            }
+        };
 
-        // Color picker
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('color-option')) {
-                this.selectColor(e.target);
+        template.content.childNodes.forEach(visit);
+        flush();
+        return blocks.join('\n\n');
+    }
+
+    // Quill keeps every list flat and marks nesting with ql-indent-N classes;
+    // nested <ul>/<ol> from pasted HTML are handled too.
+    static listFromNode(list, depth, lines) {
+        const checklist = list.hasAttribute('data-checked');
+        const counters = [];
+
+        Array.from(list.children).forEach(item => {
+            if (item.tagName !== 'LI') return;
+
+            const indentMatch = (item.className || '').match(/ql-indent-(\d+)/);
+            const level = depth + (indentMatch ? Number(indentMatch[1]) : 0);
+            counters.length = level + 1;
+            counters[level] = (counters[level] || 0) + 1;
+
+            let marker = '-';
+            if (list.tagName === 'OL') {
+                marker = `${counters[level]}.`;
+            } else if (checklist) {
+                marker = list.getAttribute('data-checked') === 'true' ? '- [x]' : '- [ ]';
             }
+
+            const inlineParts = document.createElement('span');
+            const nestedLists = [];
+            item.childNodes.forEach(child => {
+                if (child.tagName === 'UL' || child.tagName === 'OL') {
+                    nestedLists.push(child);
+                } else {
+                    inlineParts.appendChild(child.cloneNode(true));
+                }
+            });
+
+            const text = MarkdownConverter.inlineFromNode(inlineParts).replace(/\n/g, ' ').trim();
+            lines.push(`${'    '.repeat(level)}${marker} ${text}`);
+            nestedLists.forEach(nested => MarkdownConverter.listFromNode(nested, level + 1, lines));
         });
+    }
 
-        // File input for imports
-        const fileInput = document.getElementById('file-input');
-        if (fileInput) {
-            fileInput.addEventListener('change', (e) => this.handleFileImport(e));
+    static inlineFromNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return MarkdownConverter.escapeInline(node.textContent);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName;
+        if (tag === 'BR') return '\n';
+        if (tag === 'CODE') {
+            const code = node.textContent;
+            const ticks = code.includes('`') ? '``' : '`';
+            const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+            return `${ticks}${padding}${code}${padding}${ticks}`;
         }
 
-        // Auto-save on editor changes
-        this.setupAutoSave();
-        
-        // Masonry layout updates
-        this.setupMasonryUpdates();
-    }
+        const inner = Array.from(node.childNodes).map(child => MarkdownConverter.inlineFromNode(child)).join('');
+        const wrap = (open, close = open) => {
+            // Emphasis markers must hug the text, so keep outer spaces outside them
+            const match = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : inner;
+        };
 
-    // ===== FIXED: SIDEBAR TOGGLE =====
-    toggleSidebar() {
-        const sidebar = document.getElementById('sidebar');
-        if (!sidebar) return;
-        
-        // For mobile
-        if (window.innerWidth <= 768) {
-            sidebar.classList.toggle('open');
-            
-            // Add backdrop for mobile
-            if (sidebar.classList.contains('open')) {
-                this.addSidebarBackdrop();
-            } else {
-                this.removeSidebarBackdrop();
+        switch (tag) {
+            case 'STRONG':
+            case 'B':
+                return wrap('**');
+            case 'EM':
+            case 'I':
+                return wrap('*');
+            case 'S':
+            case 'DEL':
+            case 'STRIKE':
+                return wrap('~~');
+            case 'U':
+            case 'SUB':
+            case 'SUP':
+                return wrap(`<${tag.toLowerCase()}>`, `</${tag.toLowerCase()}>`);
+            case 'A': {
+                const href = (node.getAttribute('href') || '').replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+                return href ? `[${inner}](${href})` : inner;
             }
-        } else {
-            // For desktop - collapse/expand
-            this.sidebarCollapsed = !this.sidebarCollapsed;
-            sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
-            
-            // Trigger masonry layout update
-            setTimeout(() => this.updateMasonryLayout(), 300);
+            default:
+                return inner;
         }
     }
 
-    addSidebarBackdrop() {
-        let backdrop = document.querySelector('.sidebar-backdrop');
-        if (!backdrop) {
-            backdrop = document.createElement('div');
-            backdrop.className = 'sidebar-backdrop';
-            backdrop.style.cssText = `
-                position: fixed;
-                inset: 0;
-                background: rgba(0,0,0,0.5);
-                z-index: 1005;
-                opacity: 0;
-                transition: opacity 0.3s ease;
-            `;
-            document.body.appendChild(backdrop);
-            
-            backdrop.addEventListener('click', () => {
-                this.toggleSidebar();
-            });
-            
-            // Trigger opacity transition
-            setTimeout(() => {
-                backdrop.style.opacity = '1';
-            }, 10);
-        }
+    // [[Wiki links]] are left as-is so other Markdown tools can still follow them
+    static escapeInline(text) {
+        return text
+            .split(/(\[\[[^[\]\n]+\]\])/)
+            .map((part, index) => index % 2 ? part : part.replace(/[\\`*_[\]~<]/g, '\\$&'))
+            .join('');
     }
 
-    removeSidebarBackdrop() {
-        const backdrop = document.querySelector('.sidebar-backdrop');
-        if (backdrop) {
-            backdrop.style.opacity = '0';
-            setTimeout(() => {
-                backdrop.remove();
-            }, 300);
-        }
+    // Keeps a paragraph that happens to start like a header, quote or list
+    // item from being read back as one.
+    static escapeBlockStart(line) {
+        return line
+            .replace(/^(\s*)([#>+-]|```|~~~)/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)]\s)/, '$1\\$2');
     }
 
-    // ===== MASONRY LAYOUT SYSTEM =====
-    setupMasonryUpdates() {
-        // Update layout when window resizes
-        window.addEventListener('resize', this.debounce(() => {
-            this.updateMasonryLayout();
-        }, 250));
-        
-        // Update layout when notes are rendered
-        const notesContainer = document.getElementById('notes-container');
-        if (notesContainer) {
-            const observer = new MutationObserver(() => {
-                this.updateMasonryLayout();
+    static toHtml(markdown) {
+        const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        const listPattern = /^(\s*)([-+*]|\d+[.)])\s+(.*)$/;
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+            if (fenceMatch) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fenceMatch[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence
+                html.push(`<pre class="ql-syntax" spellcheck="false">${MarkdownConverter.escapeHtml(code.join('\n'))}\n</pre>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const headerMatch = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+            if (headerMatch) {
+                const level = headerMatch[1].length;
+                html.push(`<h${level}>${MarkdownConverter.inlineToHtml(headerMatch[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    const text = lines[i].replace(/^\s{0,3}>\s?/, '');
+                    html.push(`<blockquote>${MarkdownConverter.inlineToHtml(text) || '<br>'}</blockquote>`);
+                    i++;
+                }
+                continue;
+            }
+
+            if (listPattern.test(line)) {
+                const indents = [];
+                let currentType = null;
+                let items = [];
+
+                const closeList = () => {
+                    if (!items.length) return;
+                    const [tag, attrs] = {
+                        ordered: ['ol', ''],
+                        bullet: ['ul', ''],
+                        checked: ['ul', ' data-checked="true"'],
+                        unchecked: ['ul', ' data-checked="false"']
+                    }[currentType];
+                    html.push(`<${tag}${attrs}>${items.join('')}</${tag}>`);
+                    items = [];
+                };
+
+                while (i < lines.length && listPattern.test(lines[i])) {
+                    const [, indentText, marker, rest] = lines[i].match(listPattern);
+                    const indent = indentText.replace(/\t/g, '    ').length;
+
+                    // Nesting depth follows the indentation actually used,
+                    // whether the file indents by two spaces or four
+                    while (indents.length && indent < indents[indents.length - 1]) indents.pop();
+                    if (!indents.length || indent > indents[indents.length - 1]) indents.push(indent);
+                    const level = indents.length - 1;
+
+                    let type = /\d/.test(marker) ? 'ordered' : 'bullet';
+                    let text = rest;
+                    const taskMatch = type === 'bullet' && rest.match(/^\[([ xX])\]\s+(.*)$/);
+                    if (taskMatch) {
+                        type = taskMatch[1] === ' ' ? 'unchecked' : 'checked';
+                        text = taskMatch[2];
+                    }
+
+                    if (type !== currentType) {
+                        closeList();
+                        currentType = type;
+                    }
+                    const indentClass = level > 0 ? ` class="ql-indent-${Math.min(level, 8)}"` : '';
+                    items.push(`<li${indentClass}>${MarkdownConverter.inlineToHtml(text)}</li>`);
+                    i++;
+                }
+                closeList();
+                continue;
+            }
+
+            // Paragraph: soft-wrapped lines are joined, hard breaks start a new line
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() &&
+                !/^\s*(`{3,}|~{3,})/.test(lines[i]) &&
+                !/^\s{0,3}(#{1,6}\s|>)/.test(lines[i]) &&
+                !listPattern.test(lines[i])) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+
+            let current = '';
+            paragraph.forEach((text, index) => {
+                const hardBreak = /(\\| {2,})$/.test(text) && index < paragraph.length - 1;
+                current += (current ? ' ' : '') + text.replace(/(\\| {2,})$/, '').trim();
+                if (hardBreak) {
+                    html.push(`<p>${MarkdownConverter.inlineToHtml(current)}</p>`);
+                    current = '';
+                }
             });
-            observer.observe(notesContainer, { childList: true, subtree: true });
+            if (current) html.push(`<p>${MarkdownConverter.inlineToHtml(current)}</p>`);
         }
+
+        return html.join('');
     }
 
-    updateMasonryLayout() {
-        const notesGrid = document.getElementById('notes-grid');
-        if (!notesGrid || !notesGrid.classList.contains('masonry-grid')) return;
-        
-        // For browsers that don't support CSS masonry
-        if (!CSS.supports('grid-template-rows', 'masonry')) {
-            this.implementJavaScriptMasonry();
-        }
-        
-        // Trigger reflow for proper sizing
-        setTimeout(() => {
-            const cards = notesGrid.querySelectorAll('.note-card');
-            cards.forEach(card => {
-                card.style.height = 'auto';
-            });
-        }, 50);
+    static inlineToHtml(text) {
+        const stash = [];
+        const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+        // Escapes and code spans are resolved first so their contents are left alone
+        let html = text.replace(/\\([!-/:-@[-`{-~])|(`+)([\s\S]*?[^`])\2(?!`)/g, (match, escaped, ticks, code) => {
+            if (escaped) return keep(MarkdownConverter.escapeHtml(escaped));
+            return keep(`<code>${MarkdownConverter.escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`);
+        });
+
+        html = MarkdownConverter.escapeHtml(html)
+            .replace(/&lt;(u|sub|sup)&gt;([\s\S]*?)&lt;\/\1&gt;/g, '<$1>$2</$1>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;.*?&quot;)?\)/g, (match, label, href) =>
+                `<a href="${MarkdownConverter.safeHref(href)}" rel="noopener noreferrer" target="_blank">${label}</a>`)
+            .replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, (match, href) =>
+                `<a href="${MarkdownConverter.safeHref(href)}" rel="noopener noreferrer" target="_blank">${href}</a>`)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
     }
 
-    implementJavaScriptMasonry() {
-        const notesGrid = document.getElementById('notes-grid');
-        if (!notesGrid) return;
-        
-        const cards = Array.from(notesGrid.querySelectorAll('.note-card'));
-        if (cards.length === 0) return;
-        
-        // Reset grid to default
-        notesGrid.style.columns = '';
-        notesGrid.style.columnGap = '';
-        
-        // Calculate optimal columns based on container width
-        const containerWidth = notesGrid.offsetWidth;
-        const cardWidth = 280; // Minimum card width
-        const gap = 16;
-        const columns = Math.max(1, Math.floor((containerWidth + gap) / (cardWidth + gap)));
-        
-        if (window.innerWidth > 768) {
-            notesGrid.style.columns = columns;
-            notesGrid.style.columnGap = gap + 'px';
-            
-            cards.forEach(card => {
-                card.style.breakInside = 'avoid';
-                card.style.marginBottom = gap + 'px';
-                card.style.display = 'inline-block';
-                card.style.width = '100%';
-            });
-        } else {
-            // Single column on mobile
-            notesGrid.style.columns = '1';
-            cards.forEach(card => {
-                card.style.marginBottom = gap + 'px';
-            });
-        }
+    static safeHref(href) {
+        return /^\s*(javascript|data|vbscript):/i.test(href.replace(/&amp;/g, '&')) ? '#' : href;
     }
 
-    // ===== AUTHENTICATION =====
-    async handleSignup() {
-        const usernameInput = document.getElementById('username');
-        const passwordInput = document.getElementById('password');
-        
-        if (!usernameInput || !passwordInput) return;
-        
-        const username = usernameInput.value.trim();
-        const password = passwordInput.value.trim();
+    static toPlainText(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+        template.content.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        return Array.from(template.content.childNodes)
+            .map(node => node.textContent)
+            .join('\n')
+            .trim();
+    }
 
-        if (!username || !password) {
-            this.showAuthMessage('Both fields are required.', 'error');
-            return;
-        }
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 
-        if (password.length < 6) {
-            this.showAuthMessage('Password must be at least 6 characters long.', 'error');
-            return;
-        }
+    // Front matter is written as JSON-style scalars, which is valid YAML and
+    // avoids quoting rules for titles containing colons or quotes.
+    static serializeFrontMatter(fields) {
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+        return `---\n${lines.join('\n')}\n---\n`;
+    }
 
-        try {
-            const users = this.loadUsers();
-            
-            if (users[username]) {
-                this.showAuthMessage('User already exists.', 'error');
+    static parseFrontMatter(text) {
+        const normalized = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const match = normalized.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)(?:\n|$)/);
+        if (!match) return { fields: {}, body: normalized };
+
+        const fields = {};
+        let listKey = null;
+        match[1].split('\n').forEach(line => {
+            const itemMatch = line.match(/^\s*-\s+(.*)$/);
+            if (itemMatch && listKey) {
+                fields[listKey].push(MarkdownConverter.parseYamlScalar(itemMatch[1]));
                 return;
             }
 
-            const hashedPassword = await this.hashPassword(password);
-            users[username] = {
-                password: hashedPassword,
-                notes: [],
-                categories: this.getDefaultCategories(),
-                tags: [],
-                settings: {
-                    defaultView: 'grid'
-                },
-                createdAt: new Date().toISOString()
-            };
-            
-            this.saveUsers(users);
-            this.showAuthMessage('Account created successfully! Please sign in.', 'success');
-            
-            // Clear form
-            usernameInput.value = '';
-            passwordInput.value = '';
-            
-        } catch (error) {
-            console.error('Signup error:', error);
-            this.showAuthMessage('An error occurred during signup.', 'error');
-        }
-    }
+            const pairMatch = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (!pairMatch) return;
+
+            const [, key, rawValue] = pairMatch;
+            const value = rawValue.trim();
+            listKey = null;
+            if (!value) {
+                fields[key] = [];
+                listKey = key;
+            } else if (value.startsWith('[') && value.endsWith(']')) {
+                fields[key] = MarkdownConverter.parseFlowList(value);
+            } else {
+                fields[key] = MarkdownConverter.parseYamlScalar(value);
+            }
+        });
 
-    async handleLogin() {
-        const usernameInput = document.getElementById('username');
-        const passwordInput = document.getElementById('password');
-        const rememberMeCheckbox = document.getElementById('remember-me');
-        
-        if (!usernameInput || !passwordInput || !rememberMeCheckbox) return;
-        
-        const username = usernameInput.value.trim();
-        const password = passwordInput.value.trim();
-        const rememberMe = rememberMeCheckbox.checked;
+        return { fields, body: normalized.slice(match[0].length) };
+    }
 
-        if (!username || !password) {
-            this.showAuthMessage('Both fields are required.', 'error');
-            return;
+    // Our own files hold JSON arrays, whose items may contain commas;
+    // hand-written [a, b] lists are split on commas instead
+    static parseFlowList(value) {
+        try {
+            const list = JSON.parse(value);
+            if (Array.isArray(list)) return list;
+        } catch (error) {
+            // Not JSON, e.g. unquoted YAML items
         }
+        return value.slice(1, -1).split(',')
+            .map(item => MarkdownConverter.parseYamlScalar(item.trim()))
+            .filter(item => item !== '');
+    }
 
-        try {
-            const users = this.loadUsers();
-            
-            if (!users[username]) {
-                this.showAuthMessage('User not found.', 'error');
-                return;
+    static parseYamlScalar(value) {
+        if (value.startsWith('"') && value.endsWith('"')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value.slice(1, -1);
             }
+        }
+        if (value.startsWith("'") && value.endsWith("'")) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return value;
+    }
+}
 
-            const hashedPassword = await this.hashPassword(password);
-            
-            if (users[username].password === hashedPassword) {
-                this.currentUser = username;
-                
-                if (rememberMe) {
-                    localStorage.setItem('rememberedUser', username);
-                } else {
-                    localStorage.removeItem('rememberedUser');
+// ===== ZIP ARCHIVES =====
+// Writes uncompressed ("stored") archives, which every unzip tool accepts.
+// Reading also handles deflated entries where DecompressionStream exists,
+// so folders zipped by the operating system can be imported.
+class ZipArchive {
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
                 }
-                
-                await this.loadUserData();
-                this.showMainApp();
-                this.showToast('Welcome back!', 'success');
-            } else {
-                this.showAuthMessage('Invalid credentials.', 'error');
+                ZipArchive.crcTable[n] = c >>> 0;
             }
-        } catch (error) {
-            console.error('Login error:', error);
-            this.showAuthMessage('An error occurred during login.', 'error');
         }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
     }
 
-    handleLogout() {
-        this.currentUser = null;
-        this.notes = [];
-        this.categories = [];
-        this.tags = [];
-        this.allTags.clear();
-        this.currentNote = null;
-        
-        localStorage.removeItem('rememberedUser');
-        
-        this.showAuthSection();
-        this.clearForms();
-        this.showToast('Signed out successfully', 'success');
+    // files: [{ name, data (string or Uint8Array), date }]
+    static create(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ZipArchive.crc32(data);
+            const date = file.date ? new Date(file.date) : new Date();
+            const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+            const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
     }
 
-    // FIXED: Auto-login with offline support
-    async checkAutoLogin() {
-        const rememberedUser = localStorage.getItem('rememberedUser');
-        
-        if (rememberedUser) {
-            const users = this.loadUsers();
-            if (users[rememberedUser]) {
-                this.currentUser = rememberedUser;
-                await this.loadUserData();
-                this.showMainApp();
-                return;
+    // Resolves to [{ name, data (Uint8Array) }], skipping directory entries
+    static async read(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
             }
         }
-        
-        this.showAuthSection();
-    }
+        if (endOffset < 0) throw new Error('Not a zip archive');
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                data = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`Unsupported compression in ${name}`);
+            }
 
-    showAuthMessage(message, type = 'error') {
-        const messageEl = document.getElementById('auth-message');
-        if (messageEl) {
-            messageEl.textContent = message;
-            messageEl.className = `auth-message ${type}`;
-            
-            setTimeout(() => {
-                messageEl.textContent = '';
-                messageEl.className = 'auth-message';
-            }, 5000);
+            entries.push({ name, data });
         }
+
+        return entries;
     }
+}
 
-    // FIXED: Password visibility toggle
-    togglePasswordVisibility(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        const passwordInput = document.getElementById('password');
-        const toggleIcon = document.querySelector('#toggle-password i');
-        
-        if (!passwordInput || !toggleIcon) return;
-        
-        try {
-            if (passwordInput.type === 'password') {
-                passwordInput.type = 'text';
-                toggleIcon.setAttribute('data-lucide', 'eye-off');
-            } else {
-                passwordInput.type = 'password';
-                toggleIcon.setAttribute('data-lucide', 'eye');
-            }
-            
-            // Re-initialize Lucide icons
-            if (typeof lucide !== 'undefined') {
-                lucide.createIcons();
+// ===== SEARCH QUERIES =====
+// The search box is parsed into groups separated by OR; every term in a group
+// has to match. Terms are words, "quoted phrases" or field:value pairs from
+// SEARCH_FIELDS, and a leading "-" excludes matches. Terms that can't be
+// understood (such as a half-typed date) are kept but ignored.
+class SearchQuery {
+    static parse(query) {
+        const groups = [[]];
+        const tokens = (query || '').match(/-?(?:[a-z]+:)?"[^"]*"?|\S+/gi) || [];
+
+        tokens.forEach(token => {
+            if (token === 'OR') {
+                groups.push([]);
+                return;
             }
-        } catch (error) {
-            console.error('Error toggling password visibility:', error);
-        }
+            const term = SearchQuery.parseTerm(token);
+            if (term) groups[groups.length - 1].push(term);
+        });
+
+        return groups.filter(group => group.length > 0);
     }
 
-    // ===== ENHANCED DATA MANAGEMENT (OFFLINE SUPPORT) =====
-    loadUsers() {
-        try {
-            let users = localStorage.getItem('users');
-            if (!users && 'caches' in window) {
-                // Try to load from cache if localStorage fails
-                this.loadFromCache().then(cachedUsers => {
-                    if (cachedUsers) {
-                        localStorage.setItem('users', JSON.stringify(cachedUsers));
-                    }
-                });
-            }
-            return users ? JSON.parse(users) : {};
-        } catch (error) {
-            console.error('Error loading users:', error);
-            return {};
+    static parseTerm(token) {
+        const negate = token.length > 1 && token.startsWith('-');
+        let body = negate ? token.slice(1) : token;
+        let field = 'text';
+
+        const fieldMatch = body.match(/^([a-z]+):(.+)$/i);
+        if (fieldMatch && SEARCH_FIELDS[fieldMatch[1].toLowerCase()]) {
+            field = SEARCH_FIELDS[fieldMatch[1].toLowerCase()];
+            body = fieldMatch[2];
         }
-    }
 
-    async loadFromCache() {
-        try {
-            if ('caches' in window) {
-                const cache = await caches.open('private-vault-user-data');
-                const response = await cache.match('/user-data');
-                if (response) {
-                    return await response.json();
-                }
-            }
-        } catch (error) {
-            console.warn('Could not load from cache:', error);
+        const value = body.replace(/^"|"$/g, '').trim();
+        if (!value) return null;
+
+        const term = { field, value, negate, raw: token };
+        if (field === 'created' || field === 'modified') {
+            term.range = SearchQuery.parseDateRange(value);
+            term.invalid = !term.range;
+        } else if (field === 'is') {
+            term.invalid = !SEARCH_IS_VALUES[value.toLowerCase()];
+        } else if (field === 'color') {
+            term.invalid = !SearchQuery.parseColor(value);
         }
-        return null;
+        return term;
     }
 
-    saveUsers(users) {
-        try {
-            localStorage.setItem('users', JSON.stringify(users));
-            
-            // Also cache for offline use
-            if ('caches' in window) {
-                caches.open('private-vault-user-data').then(cache => {
-                    cache.put('/user-data', new Response(JSON.stringify(users)));
-                });
-            }
-            
-            // Notify service worker about data update
-            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-                navigator.serviceWorker.controller.postMessage({
-                    type: 'CACHE_USER_DATA',
-                    users: users
-                });
+    // Returns { from, to } in ms (from inclusive, to exclusive) or null.
+    // Ages like 7d, 2w, 3m or 1y count back from now, so "<7d" means newer
+    // than a week; dates like 2026-01-01, 2026-01 or 2026 cover that day,
+    // month or year. Either may follow >, >=, < or <=.
+    static parseDateRange(value, now = new Date()) {
+        const [, operator = '=', target] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+
+        const age = target.match(/^(\d+)([dwmy])$/i);
+        if (age) {
+            const amount = parseInt(age[1], 10);
+            const point = new Date(now);
+            switch (age[2].toLowerCase()) {
+                case 'd':
+                    point.setDate(point.getDate() - amount);
+                    break;
+                case 'w':
+                    point.setDate(point.getDate() - amount * 7);
+                    break;
+                case 'm':
+                    point.setMonth(point.getMonth() - amount);
+                    break;
+                default:
+                    point.setFullYear(point.getFullYear() - amount);
             }
-        } catch (error) {
-            console.error('Error saving users:', error);
-            this.showToast('Error saving data', 'error');
+            return operator.startsWith('>')
+                ? { from: -Infinity, to: point.getTime() }
+                : { from: point.getTime(), to: Infinity };
         }
-    }
 
-    // FIXED: Load user data with proper tag handling
-    async loadUserData() {
-        try {
-            const users = this.loadUsers();
-            const userData = users[this.currentUser];
-            
-            if (userData) {
-                this.notes = userData.notes || [];
-                this.categories = userData.categories || this.getDefaultCategories();
-                this.tags = userData.tags || [];
-                
-                // Extract all unique tags from notes and user tags
-                this.extractAllTags();
-                
-                this.renderNotes();
-                this.updateNavigationCounts();
-                this.renderCategories();
-                this.renderTags();
-                
-                // Update masonry layout
-                setTimeout(() => this.updateMasonryLayout(), 100);
-            }
-        } catch (error) {
-            console.error('Error loading user data:', error);
-            this.showToast('Error loading notes', 'error');
+        const date = target.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!date) return null;
+
+        const year = parseInt(date[1], 10);
+        const month = date[2] ? parseInt(date[2], 10) - 1 : null;
+        const day = date[3] ? parseInt(date[3], 10) : null;
+        if (month !== null && (month < 0 || month > 11)) return null;
+
+        const start = new Date(year, month || 0, day || 1).getTime();
+        const end = day !== null
+            ? new Date(year, month, day + 1).getTime()
+            : month !== null ? new Date(year, month + 1, 1).getTime() : new Date(year + 1, 0, 1).getTime();
+
+        switch (operator) {
+            case '>':
+                return { from: end, to: Infinity };
+            case '>=':
+                return { from: start, to: Infinity };
+            case '<':
+                return { from: -Infinity, to: start };
+            case '<=':
+                return { from: -Infinity, to: end };
+            default:
+                return { from: start, to: end };
         }
     }
 
-    // FIXED: Save user data with proper tag sync
-    saveUserData() {
-        if (!this.currentUser) return;
-        
-        try {
-            const users = this.loadUsers();
-            if (users[this.currentUser]) {
-                users[this.currentUser].notes = this.notes;
-                users[this.currentUser].categories = this.categories;
-                users[this.currentUser].tags = Array.from(this.allTags);
-                users[this.currentUser].lastModified = new Date().toISOString();
-                this.saveUsers(users);
-                
-                // Update counts after saving
-                this.updateNavigationCounts();
-                this.renderCategories(); // This will update category counts
-                this.renderTags(); // This will update tag counts
-            }
-        } catch (error) {
-            console.error('Error saving user data:', error);
-            this.showToast('Error saving data', 'error');
-        }
+    // A palette name (blue, red...), "none" for untinted notes or a #rrggbb value
+    static parseColor(value) {
+        const name = value.toLowerCase();
+        if (name === 'none' || name === 'default') return NOTE_DEFAULT_COLOR;
+        const named = NOTE_COLORS.find(c => c.name === name);
+        if (named) return named.value;
+        return /^#[0-9a-f]{6}$/.test(name) ? name : null;
     }
 
-    getDefaultCategories() {
-        return [
-            { id: 'personal', name: 'Personal', color: '#3b82f6', count: 0 },
-            { id: 'work', name: 'Work', color: '#10b981', count: 0 },
-            { id: 'ideas', name: 'Ideas', color: '#f59e0b', count: 0 }
-        ];
+    // textHits maps text terms to the notes the search index found for them
+    // (prefix and typo matches) on top of the plain substring match
+    static matches(groups, note, categories, textHits = new Map()) {
+        if (groups.length === 0) return true;
+        return groups.some(group => group.every(term =>
+            term.invalid || SearchQuery.matchesTerm(term, note, categories, textHits) !== term.negate));
     }
 
-    // ===== OFFLINE SYNC =====
-    async syncOfflineChanges() {
-        if (this.isOffline) return;
-        
-        try {
-            // In a real app, this would sync with a server
-            // For now, just ensure data is properly cached
-            this.saveUserData();
-            this.showToast('Data synchronized', 'success');
-        } catch (error) {
-            console.error('Sync error:', error);
-        }
+    // A note tag matches the tag itself and anything nested below it
+    static matchesTag(noteTag, tag) {
+        return noteTag === tag || noteTag.startsWith(tag + TAG_SEPARATOR);
     }
 
-    // ===== UTILITY FUNCTIONS =====
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    static matchesTerm(term, note, categories, textHits) {
+        const value = term.value.toLowerCase();
+        const tags = note.tags || [];
+
+        switch (term.field) {
+            case 'tag': {
+                const tag = value.replace(/^#/, '');
+                return tags.some(t => SearchQuery.matchesTag(t.toLowerCase(), tag));
+            }
+            case 'category': {
+                // Naming a notebook also matches the notes in its sub-notebooks
+                let category = categories.find(c => c.id === note.category);
+                while (category) {
+                    if (category.name.toLowerCase() === value) return true;
+                    const parentId = category.parentId;
+                    category = parentId ? categories.find(c => c.id === parentId) : null;
+                }
+                return false;
+            }
+            case 'is':
+                return !!note[SEARCH_IS_VALUES[value]];
+            case 'color':
+                // Colors that aren't valid count as the default, as they do on cards
+                return (SearchQuery.parseColor(note.color || '') || NOTE_DEFAULT_COLOR) === SearchQuery.parseColor(value);
+            case 'created':
+            case 'modified': {
+                const time = new Date(term.field === 'created' ? note.createdAt : note.modifiedAt).getTime();
+                return time >= term.range.from && time < term.range.to;
+            }
+            default:
+                return (note.title || '').toLowerCase().includes(value) ||
+                    (note.plainText || '').toLowerCase().includes(value) ||
+                    tags.some(tag => tag.toLowerCase().includes(value)) ||
+                    (textHits.has(term) && textHits.get(term).has(note.id));
+        }
     }
 
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        return Array.from(new Uint8Array(hashBuffer))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    static stringify(groups) {
+        return groups.map(group => group.map(term => term.raw).join(' ')).join(' OR ');
     }
 
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
+    static describe(term) {
+        const labels = {
+            text: 'Search',
+            tag: 'Tag',
+            category: 'Notebook',
+            is: 'Is',
+            created: 'Created',
+            modified: 'Modified',
+            color: 'Color'
+        };
+        const label = labels[term.field];
+        return {
+            label: term.negate ? `Not ${label.toLowerCase()}` : label,
+            value: term.field === 'text' && /\s/.test(term.value) ? `"${term.value}"` : term.value
         };
     }
+}
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffTime = Math.abs(now - date);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === 1) {
-            return 'Today';
-        } else if (diffDays === 2) {
-            return 'Yesterday';
-        } else if (diffDays <= 7) {
-            return `${diffDays - 1} days ago`;
-        } else {
-            return date.toLocaleDateString();
-        }
+// ===== SEARCH INDEX =====
+// Inverted index over note titles, tags and text, ranked with BM25. Each
+// note's term counts are also stored (encrypted) in its record, so signing in
+// rebuilds the postings without re-tokenizing unchanged notes. A query word
+// matches itself, longer words it starts, and words a typo or two away.
+class SearchIndex {
+    constructor() {
+        this.clear();
     }
 
-    stripHtml(html) {
-        const tmp = document.createElement('div');
-        tmp.innerHTML = html;
-        return tmp.textContent || tmp.innerText || '';
+    clear() {
+        this.entries = new Map(); // note id -> { version, terms, length }
+        this.postings = new Map(); // term -> Map(note id -> weighted count)
+        this.totalLength = 0;
+        this.vocabulary = null; // sorted terms for prefix lookups, rebuilt on demand
     }
 
-    getWordCount(text) {
-        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    static tokenize(text) {
+        return (text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || [];
     }
 
-    // ===== UI MANAGEMENT =====
-    showAuthSection() {
-        const authSection = document.getElementById('auth-section');
-        const appContainer = document.getElementById('app-container');
-        
-        if (authSection) authSection.classList.remove('hidden');
-        if (appContainer) appContainer.classList.add('hidden');
+    static buildEntry(note) {
+        const terms = {};
+        let length = 0;
+        const add = (text, weight) => SearchIndex.tokenize(text).forEach(term => {
+            terms[term] = (terms[term] || 0) + weight;
+            length += weight;
+        });
+
+        add(note.title, SEARCH_FIELD_WEIGHTS.title);
+        add((note.tags || []).join(' '), SEARCH_FIELD_WEIGHTS.tags);
+        add(note.plainText, SEARCH_FIELD_WEIGHTS.body);
+        return { version: SEARCH_INDEX_VERSION, terms, length };
     }
 
-    showMainApp() {
-        const authSection = document.getElementById('auth-section');
-        const appContainer = document.getElementById('app-container');
-        
-        if (authSection) authSection.classList.add('hidden');
-        if (appContainer) appContainer.classList.remove('hidden');
-        
-        // Initialize icons
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
+    set(noteId, entry) {
+        this.remove(noteId);
+        this.entries.set(noteId, entry);
+        Object.entries(entry.terms).forEach(([term, count]) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.vocabulary = null;
+            }
+            this.postings.get(term).set(noteId, count);
+        });
+        this.totalLength += entry.length;
+    }
+
+    remove(noteId) {
+        const entry = this.entries.get(noteId);
+        if (!entry) return;
+
+        Object.keys(entry.terms).forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(noteId);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.vocabulary = null;
+            }
+        });
+        this.totalLength -= entry.length;
+        this.entries.delete(noteId);
+    }
+
+    // Index terms a query word stands for, mapped to how much a match counts
+    expand(word) {
+        const matches = new Map();
+        if (this.postings.has(word)) matches.set(word, 1);
+
+        if (!this.vocabulary) this.vocabulary = Array.from(this.postings.keys()).sort();
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < word) low = mid + 1;
+            else high = mid;
         }
-        
-        // Initialize Quill if not already done
-        if (!this.quillEditor) {
-            this.initializeQuillEditor();
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(word); i++) {
+            if (!matches.has(this.vocabulary[i])) matches.set(this.vocabulary[i], 0.7);
         }
-        
-        // Update masonry layout
-        setTimeout(() => this.updateMasonryLayout(), 200);
-    }
 
-    clearForms() {
-        const usernameInput = document.getElementById('username');
-        const passwordInput = document.getElementById('password');
-        const rememberMeCheckbox = document.getElementById('remember-me');
-        const searchInput = document.getElementById('search-input');
-        
-        if (usernameInput) usernameInput.value = '';
-        if (passwordInput) passwordInput.value = '';
-        if (rememberMeCheckbox) rememberMeCheckbox.checked = false;
-        if (searchInput) searchInput.value = '';
+        const maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+        if (maxEdits > 0) {
+            this.postings.forEach((posting, term) => {
+                if (matches.has(term) || Math.abs(term.length - word.length) > maxEdits) return;
+                const distance = SearchIndex.editDistance(word, term, maxEdits);
+                if (distance <= maxEdits) matches.set(term, distance === 1 ? 0.5 : 0.3);
+            });
+        }
+
+        return matches;
     }
 
-    // ===== SEARCH FUNCTIONALITY =====
-    handleSearch(query) {
-        this.searchQuery = query.toLowerCase();
-        
-        const searchClear = document.getElementById('search-clear');
-        if (searchClear) {
-            if (query.length > 0) {
-                searchClear.classList.remove('hidden');
-            } else {
-                searchClear.classList.add('hidden');
+    // Edit distance counting a swap of neighbouring letters as one typo.
+    // Gives up with limit + 1 once the distance can't stay within limit.
+    static editDistance(a, b, limit) {
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
             }
+            if (rowMin > limit) return limit + 1;
+            beforePrevious = previous;
+            previous = current;
         }
-        
-        this.renderNotes();
+        return previous[b.length];
     }
 
-    clearSearch() {
-        const searchInput = document.getElementById('search-input');
-        const searchClear = document.getElementById('search-clear');
-        
-        if (searchInput) searchInput.value = '';
-        if (searchClear) searchClear.classList.add('hidden');
-        
-        this.searchQuery = '';
-        this.renderNotes();
-    }
+    // Returns Map(note id -> score) for the notes that match every word.
+    // Each word counts once per note, through its best-scoring term.
+    search(text) {
+        const words = SearchIndex.tokenize(text);
+        const count = this.entries.size;
+        if (words.length === 0 || count === 0) return new Map();
+
+        const averageLength = this.totalLength / count || 1;
+        let scores = null;
+
+        words.forEach(word => {
+            const wordScores = new Map();
+            this.expand(word).forEach((weight, term) => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+                posting.forEach((frequency, noteId) => {
+                    const length = this.entries.get(noteId).length;
+                    const saturation = frequency * (SEARCH_BM25_K1 + 1) /
+                        (frequency + SEARCH_BM25_K1 * (1 - SEARCH_BM25_B + SEARCH_BM25_B * length / averageLength));
+                    const score = weight * idf * saturation;
+                    if (score > (wordScores.get(noteId) || 0)) wordScores.set(noteId, score);
+                });
+            });
 
-    // ===== FILTERING & SORTING =====
-    setActiveFilter(filter) {
-        this.activeFilter = filter;
-        this.activeCategory = null;
-        this.activeTag = null;
-        
-        // Update nav items
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.classList.remove('active');
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, noteId) => {
+                    if (wordScores.has(noteId)) combined.set(noteId, score + wordScores.get(noteId));
+                });
+                scores = combined;
+            }
         });
-        
-        const activeNavItem = document.querySelector(`[data-filter="${filter}"]`);
-        if (activeNavItem) {
-            activeNavItem.classList.add('active');
-        }
-        
-        this.renderNotes();
-        this.updateFiltersBar();
+
+        return scores;
     }
 
-    setActiveCategory(categoryId) {
-        this.activeCategory = categoryId;
-        this.activeFilter = 'category';
-        this.activeTag = null;
-        
-        // Update category items
-        document.querySelectorAll('.category-item').forEach(item => {
-            item.classList.remove('active');
+    // Index terms the words of a text match, used to highlight results
+    matchingTerms(text) {
+        const terms = new Set();
+        SearchIndex.tokenize(text).forEach(word => {
+            this.expand(word).forEach((weight, term) => terms.add(term));
         });
-        
-        this.renderNotes();
-        this.updateFiltersBar();
+        return terms;
     }
+}
+
+// ===== APPLICATION STATE =====
+class NotesApp {
+    constructor() {
+        this.currentUser = null;
+        this.notes = [];
+        this.categories = [];
+        this.tags = [];
+        this.allTags = new Set(); // Track all available tags
+        this.collapsedTags = new Set(); // tag paths folded in the sidebar tree
+        this.tagManagerEdit = null; // { tag, mode: 'rename' | 'merge' } open in the tag manager
+        this.smartFolders = []; // saved views: { id, name, query, filter, categories, tags, tagMode, sortBy }
+        this.smartFolderCounts = new Map(); // folder id -> matching notes, refreshed with the other sidebar counts
+        this.editingSmartFolderId = null;
+        this.editingCategoryId = null;
+        this.deletingCategoryId = null; // category waiting for a "move notes to" choice
+        this.collapsedNotebooks = new Set(); // notebook ids folded in the sidebar tree
+        this.currentNote = null;
+        this.searchQuery = '';
+        this.searchIndex = new SearchIndex();
+        this.searchScores = new Map(); // relevance of each note matching the search
+        this.searchHighlight = null; // RegExp of words to mark in note cards
+        this.activeFilter = 'all';
+        this.activeCategories = []; // selected category ids; a note matches any of them
+        this.activeTags = []; // selected tags, matched according to tagMatchMode
+        this.tagMatchMode = 'any'; // 'any' (OR) or 'all' (AND)
+        this.sortBy = 'dateModified';
+        this.viewMode = 'grid';
+        this.settings = this.getDefaultSettings();
+        this.passphraseRequest = null; // resolver for the open passphrase prompt
+        this.pendingImport = null; // import plan awaiting confirmation
+        this.shareQueue = []; // shared items waiting for a signed-in user
+        this.launchedFiles = []; // files opened from the OS before sign-in
+        this.pendingLaunchFiles = null; // files listed in the confirmation sheet
+        this.pendingUrlAction = null; // shortcut or protocol link waiting for sign-in
+        this.routeReady = false; // URL mirrors the view once the signed-in route is restored
+        this.applyingRoute = false; // set while back/forward replays a route
+        this.linkedTitle = null; // title other notes use to [[link]] the open note
+        this.wikiLinkSuggestions = null; // open [[ autocomplete: { start, end, matches, active }
+        this.quillEditor = null;
+        this.isInitialized = false;
+        this.deferredPrompt = null;
+        this.sidebarCollapsed = false;
+        this.bulkSelectMode = false;
+        this.selectedNoteIds = new Set();
+        this.lastSelectedNoteId = null; // anchor for shift-click ranges
+        this.renderedNoteIds = []; // grid order, used for range selection
+        this.isOffline = !navigator.onLine;
+        this.vaultKey = null; // AES-GCM key, memory only
+        this.indexKey = null; // HMAC key for blind category/tag indexes
+        this.vaultMeta = {};
+        this.pendingSave = Promise.resolve();
+        this.reminderTimeout = null;
+        this.remindersReady = false; // set once reminders shown while signed out are known
+        this.reminderScheduleJson = null; // last schedule handed to the service worker
+        this.storage = new VaultStorage();
+        this.persistedNotes = new Map(); // note id -> last written JSON
+        this.noteVersions = []; // decrypted history of the open note, newest first
 
-    setActiveTag(tagName) {
-        this.activeTag = tagName;
-        this.activeFilter = 'tag';
-        this.activeCategory = null;
+        // Bind methods
+        this.debounce = this.debounce.bind(this);
+        this.showToast = this.showToast.bind(this);
         
-        // Update tag items
-        document.querySelectorAll('.tag-item').forEach(item => {
-            item.classList.remove('active');
+        // Listen for online/offline events
+        window.addEventListener('online', () => {
+            this.isOffline = false;
+            this.showToast('Back online!', 'success');
+            this.syncOfflineChanges();
         });
         
-        this.renderNotes();
-        this.updateFiltersBar();
-    }
-
-    setSortBy(sortBy) {
-        this.sortBy = sortBy;
-        this.renderNotes();
+        window.addEventListener('offline', () => {
+            this.isOffline = true;
+            this.showToast('Working offline', 'info');
+        });
     }
 
-    setViewMode(mode) {
-        this.viewMode = mode;
-        
-        document.querySelectorAll('.view-toggle .btn').forEach(btn => btn.classList.remove('active'));
-        
-        const activeViewBtn = document.getElementById(`${mode}-view`);
-        if (activeViewBtn) {
-            activeViewBtn.classList.add('active');
-        }
+    // ===== INITIALIZATION =====
+    async init() {
+        if (this.isInitialized) return;
         
-        const notesGrid = document.getElementById('notes-grid');
-        if (notesGrid) {
-            if (mode === 'list') {
-                notesGrid.classList.add('list-view');
-                notesGrid.classList.remove('masonry-grid');
-            } else {
-                notesGrid.classList.remove('list-view');
-                notesGrid.classList.add('masonry-grid');
-                // Update masonry layout
-                setTimeout(() => this.updateMasonryLayout(), 100);
+        try {
+            await this.initializeStorage();
+            await this.setupEventListeners();
+            await this.initializePWA();
+            await this.checkAutoLogin();
+            this.routeUrlAction();
+            await this.collectSharedContent();
+            this.setupFileHandlers();
+            this.setupRouting();
+            this.setupKeyboardShortcuts();
+            this.isInitialized = true;
+            console.log('Notes App initialized successfully');
+            
+            // Show offline status if needed
+            if (this.isOffline) {
+                this.showToast('App ready - working offline', 'info');
             }
+        } catch (error) {
+            console.error('Error initializing app:', error);
+            this.showToast('App initialized with limited functionality', 'warning');
         }
     }
 
-    toggleSortMenu() {
-        const menu = document.getElementById('sort-menu');
-        if (menu) {
-            menu.classList.toggle('hidden');
-        }
-    }
+    // ===== STORAGE INITIALIZATION =====
+    async initializeStorage() {
+        try {
+            await this.storage.open();
 
-    updateFiltersBar() {
-        const filtersBar = document.getElementById('filters-bar');
-        const activeFiltersList = document.getElementById('active-filters-list');
-        
-        if (!filtersBar || !activeFiltersList) return;
-        
-        let hasFilters = false;
-        activeFiltersList.innerHTML = '';
-        
-        if (this.searchQuery) {
-            activeFiltersList.appendChild(this.createFilterTag('Search', this.searchQuery, () => this.clearSearch()));
-            hasFilters = true;
-        }
-        
-        if (this.activeCategory) {
-            const category = this.categories.find(c => c.id === this.activeCategory);
-            if (category) {
-                activeFiltersList.appendChild(this.createFilterTag('Category', category.name, () => this.clearCategoryFilter()));
-                hasFilters = true;
+            const { migrated, rejected } = await this.storage.migrateFromLocalStorage();
+            if (migrated) {
+                console.log('Migrated user data from localStorage to IndexedDB');
             }
-        }
-        
-        if (this.activeTag) {
-            activeFiltersList.appendChild(this.createFilterTag('Tag', this.activeTag, () => this.clearTagFilter()));
-            hasFilters = true;
-        }
-        
-        if (hasFilters) {
-            filtersBar.classList.remove('hidden');
-        } else {
-            filtersBar.classList.add('hidden');
+            if (rejected.length) {
+                console.warn(`Could not migrate ${rejected.length} stored record(s); they were kept in localStorage:\n${DataSchema.formatReport(rejected)}`);
+                this.showToast(`${rejected.length} stored record${rejected.length === 1 ? '' : 's'} could not be migrated (details in the console)`, 'error', 6000);
+            }
+
+            // The Cache API copy of the old users blob is no longer used
+            if ('caches' in window) {
+                await caches.delete('private-vault-user-data');
+            }
+        } catch (error) {
+            console.error('Could not initialize storage:', error);
+            this.showToast('Storage unavailable - notes cannot be saved', 'error');
         }
     }
 
-    createFilterTag(type, value, onRemove) {
-        const tag = document.createElement('div');
-        tag.className = 'filter-tag';
-        tag.innerHTML = `
-            <span>${type}: ${value}</span>
-            <button type="button"><i data-lucide="x" width="12" height="12"></i></button>
-        `;
-        
-        const removeBtn = tag.querySelector('button');
-        if (removeBtn) {
-            removeBtn.addEventListener('click', onRemove);
-        }
-        
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
+    // ===== PWA FEATURES =====
+    async initializePWA() {
+        // Register enhanced service worker
+        if ('serviceWorker' in navigator) {
+            try {
+                const registration = await navigator.serviceWorker.register('/service-worker.js');
+                console.log('SW registered:', registration);
+                
+                // Listen for service worker updates
+                registration.addEventListener('updatefound', () => {
+                    const newWorker = registration.installing;
+                    newWorker.addEventListener('statechange', () => {
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showToast('App updated! Refresh to see changes.', 'success');
+                        }
+                    });
+                });
+                
+                // Listen for service worker messages
+                navigator.serviceWorker.addEventListener('message', event => {
+                    this.handleServiceWorkerMessage(event.data);
+                });
+                
+            } catch (error) {
+                console.log('SW registration failed:', error);
+            }
         }
-        
-        return tag;
-    }
 
-    clearCategoryFilter() {
-        this.activeCategory = null;
-        this.setActiveFilter('all');
-    }
+        // Handle install prompt
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            this.showInstallBanner();
+        });
 
-    clearTagFilter() {
-        this.activeTag = null;
-        this.setActiveFilter('all');
+        // Handle app installed
+        window.addEventListener('appinstalled', () => {
+            this.hideInstallBanner();
+            this.showToast('App installed successfully!', 'success');
+        });
     }
 
-    // ===== NOTES MANAGEMENT =====
-    createNote() {
+    handleServiceWorkerMessage(data) {
+        if (!data || !data.type) return;
+        
+        switch (data.type) {
+            case 'CACHE_UPDATED':
+                this.showToast('App updated and cached for offline use', 'success');
+                break;
+            case 'OFFLINE_READY':
+                this.showToast('App ready for offline use', 'info');
+                break;
+            case 'SYNC_COMPLETE':
+                this.showToast(data.success ? 'Data synced' : 'Sync failed', data.success ? 'success' : 'error');
+                break;
+            case 'OPEN_NOTE':
+                // A reminder notification was clicked
+                this.openReminderNote(data.noteId);
+                break;
+        }
+    }
+
+    showInstallBanner() {
+        const banner = document.getElementById('install-banner');
+        if (banner) {
+            banner.classList.remove('hidden');
+        }
+        
+        const installBtn = document.getElementById('install-btn');
+        if (installBtn) {
+            installBtn.onclick = async () => {
+                if (this.deferredPrompt) {
+                    this.deferredPrompt.prompt();
+                    const result = await this.deferredPrompt.userChoice;
+                    if (result.outcome === 'accepted') {
+                        console.log('User accepted install');
+                    }
+                    this.deferredPrompt = null;
+                    this.hideInstallBanner();
+                }
+            };
+        }
+
+        const dismissBtn = document.getElementById('install-dismiss');
+        if (dismissBtn) {
+            dismissBtn.onclick = () => {
+                this.hideInstallBanner();
+            };
+        }
+    }
+
+    hideInstallBanner() {
+        const banner = document.getElementById('install-banner');
+        if (banner) {
+            banner.classList.add('hidden');
+        }
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        // Authentication
+        const signupBtn = document.getElementById('signup');
+        const loginBtn = document.getElementById('login');
+        const logoutBtn = document.getElementById('logout');
+        const togglePasswordBtn = document.getElementById('toggle-password');
+        
+        if (signupBtn) signupBtn.addEventListener('click', () => this.handleSignup());
+        if (loginBtn) loginBtn.addEventListener('click', () => this.handleLogin());
+        if (logoutBtn) logoutBtn.addEventListener('click', () => this.handleLogout());
+        if (togglePasswordBtn) togglePasswordBtn.addEventListener('click', (e) => this.togglePasswordVisibility(e));
+
+        // Search
+        const searchInput = document.getElementById('search-input');
+        const searchClear = document.getElementById('search-clear');
+        if (searchInput) {
+            searchInput.addEventListener('input', 
+                this.debounce((e) => this.handleSearch(e.target.value), 300));
+        }
+        if (searchClear) {
+            searchClear.addEventListener('click', () => this.clearSearch());
+        }
+
+        const clearFiltersBtn = document.getElementById('clear-filters');
+        if (clearFiltersBtn) clearFiltersBtn.addEventListener('click', () => this.clearAllFilters());
+
+        // Navigation
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const filter = e.currentTarget.dataset.filter;
+                this.setActiveFilter(filter);
+            });
+        });
+
+        // Toolbar
+        const newNoteBtn = document.getElementById('new-note');
+        const emptyNewNoteBtn = document.getElementById('empty-new-note');
+        const gridViewBtn = document.getElementById('grid-view');
+        const listViewBtn = document.getElementById('list-view');
+        const bulkSelectBtn = document.getElementById('bulk-select');
+        
+        if (newNoteBtn) newNoteBtn.addEventListener('click', () => this.createNote());
+        if (emptyNewNoteBtn) emptyNewNoteBtn.addEventListener('click', () => this.createNote());
+        if (gridViewBtn) gridViewBtn.addEventListener('click', () => this.setViewMode('grid'));
+        if (listViewBtn) listViewBtn.addEventListener('click', () => this.setViewMode('list'));
+        if (bulkSelectBtn) bulkSelectBtn.addEventListener('click', () => this.toggleBulkSelect());
+
+        // Bulk actions
+        const bulkSelectAllBtn = document.getElementById('bulk-select-all');
+        const bulkClearBtn = document.getElementById('bulk-clear-selection');
+        const bulkDoneBtn = document.getElementById('bulk-done');
+        const bulkCategorySelect = document.getElementById('bulk-category');
+
+        if (bulkSelectAllBtn) bulkSelectAllBtn.addEventListener('click', () => this.selectAllFilteredNotes());
+        if (bulkClearBtn) bulkClearBtn.addEventListener('click', () => this.clearNoteSelection());
+        if (bulkDoneBtn) bulkDoneBtn.addEventListener('click', () => this.toggleBulkSelect(false));
+        if (bulkCategorySelect) {
+            bulkCategorySelect.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.bulkMoveToCategory(e.target.value === '__none__' ? null : e.target.value);
+                }
+                e.target.value = '';
+            });
+        }
+        document.querySelectorAll('[data-bulk-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.applyBulkAction(e.currentTarget.dataset.bulkAction));
+        });
+
+        // Sort dropdown
+        const sortBtn = document.getElementById('sort-btn');
+        if (sortBtn) {
+            sortBtn.addEventListener('click', () => this.toggleSortMenu());
+        }
+        const colorFilterBtn = document.getElementById('color-filter-btn');
+        if (colorFilterBtn) {
+            colorFilterBtn.addEventListener('click', () => this.toggleColorFilterMenu());
+        }
+        document.querySelectorAll('[data-color-filter]').forEach(btn => {
+            btn.addEventListener('click', () => this.filterByColor(btn.dataset.colorFilter));
+        });
+        document.querySelectorAll('[data-sort]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setSortBy(e.target.dataset.sort);
+                this.toggleSortMenu();
+            });
+        });
+
+        // Modals
+        const closeModalBtn = document.getElementById('close-modal');
+        const saveNoteBtn = document.getElementById('save-note');
+        const deleteNoteBtn = document.getElementById('delete-note');
+        
+        if (closeModalBtn) {
+            closeModalBtn.addEventListener('click', () => {
+                this.keepCurrentNoteEdits();
+                this.closeNoteModal();
+            });
+        }
+
+        // Wiki links inside the editor open the linked note
+        const noteEditor = document.getElementById('note-editor');
+        if (noteEditor) {
+            noteEditor.addEventListener('click', (e) => {
+                const link = e.target.closest('.wiki-link');
+                if (!link) return;
+                e.preventDefault();
+                this.openWikiLink(link.dataset.noteTitle || link.textContent.replace(/^\[\[|\]\]$/g, ''));
+            });
+        }
+        if (saveNoteBtn) saveNoteBtn.addEventListener('click', () => this.saveCurrentNote());
+        if (deleteNoteBtn) deleteNoteBtn.addEventListener('click', () => this.deleteCurrentNote());
+
+        // Trash
+        const restoreNoteBtn = document.getElementById('restore-note');
+        const emptyTrashBtn = document.getElementById('empty-trash');
+        const trashRetentionSelect = document.getElementById('trash-retention');
+
+        if (restoreNoteBtn) restoreNoteBtn.addEventListener('click', () => this.restoreCurrentNote());
+        if (emptyTrashBtn) emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        if (trashRetentionSelect) {
+            trashRetentionSelect.addEventListener('change', (e) => this.setTrashRetention(e.target.value));
+        }
+
+        // Version history
+        const noteHistoryBtn = document.getElementById('note-history-btn');
+        const historyFromSelect = document.getElementById('history-from');
+        const historyToSelect = document.getElementById('history-to');
+
+        if (noteHistoryBtn) noteHistoryBtn.addEventListener('click', () => this.toggleHistoryPanel());
+
+        // Markdown export
+        const noteExportMarkdownBtn = document.getElementById('note-export-markdown');
+        if (noteExportMarkdownBtn) noteExportMarkdownBtn.addEventListener('click', () => this.exportCurrentNoteAsMarkdown());
+        const noteCopyLinkBtn = document.getElementById('note-copy-link');
+        if (noteCopyLinkBtn) noteCopyLinkBtn.addEventListener('click', () => this.copyNoteLink());
+        if (historyFromSelect) historyFromSelect.addEventListener('change', () => this.renderHistoryDiff());
+        if (historyToSelect) historyToSelect.addEventListener('change', () => this.renderHistoryDiff());
+
+        // Category management
+        const addCategoryBtn = document.getElementById('add-category');
+        const saveCategoryBtn = document.getElementById('save-category');
+        const cancelCategoryBtn = document.getElementById('cancel-category');
+        const closeCategoryModalBtn = document.getElementById('close-category-modal');
+        
+        if (addCategoryBtn) addCategoryBtn.addEventListener('click', () => this.showCategoryModal());
+        if (saveCategoryBtn) saveCategoryBtn.addEventListener('click', () => this.saveCategory());
+        if (cancelCategoryBtn) cancelCategoryBtn.addEventListener('click', () => this.closeCategoryModal());
+        if (closeCategoryModalBtn) closeCategoryModalBtn.addEventListener('click', () => this.closeCategoryModal());
+
+        const deleteCategoryBtn = document.getElementById('delete-category');
+        const confirmDeleteCategoryBtn = document.getElementById('confirm-delete-category');
+        const cancelDeleteCategoryBtn = document.getElementById('cancel-delete-category');
+        const closeDeleteCategoryModalBtn = document.getElementById('close-delete-category-modal');
+        const categoriesList = document.getElementById('categories-list');
+
+        if (deleteCategoryBtn) deleteCategoryBtn.addEventListener('click', () => this.deleteCategory(this.editingCategoryId));
+        if (confirmDeleteCategoryBtn) confirmDeleteCategoryBtn.addEventListener('click', () => this.confirmDeleteCategory());
+        if (cancelDeleteCategoryBtn) cancelDeleteCategoryBtn.addEventListener('click', () => this.closeDeleteCategoryModal());
+        if (closeDeleteCategoryModalBtn) closeDeleteCategoryModalBtn.addEventListener('click', () => this.closeDeleteCategoryModal());
+        if (categoriesList) this.setupNotebookTree(categoriesList);
+
+        // Smart folders
+        const addSmartFolderBtn = document.getElementById('add-smart-folder');
+        const saveSearchBtn = document.getElementById('save-search');
+        const smartFolderForm = document.getElementById('smart-folder-form');
+        const cancelSmartFolderBtn = document.getElementById('cancel-smart-folder');
+        const closeSmartFolderModalBtn = document.getElementById('close-smart-folder-modal');
+        const smartFoldersList = document.getElementById('smart-folders-list');
+
+        if (addSmartFolderBtn) addSmartFolderBtn.addEventListener('click', () => this.showSmartFolderModal());
+        if (saveSearchBtn) saveSearchBtn.addEventListener('click', () => this.showSmartFolderModal());
+        if (smartFolderForm) {
+            smartFolderForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSmartFolder();
+            });
+        }
+        if (cancelSmartFolderBtn) cancelSmartFolderBtn.addEventListener('click', () => this.closeSmartFolderModal());
+        if (closeSmartFolderModalBtn) closeSmartFolderModalBtn.addEventListener('click', () => this.closeSmartFolderModal());
+        if (smartFoldersList) {
+            this.setupSortableList(smartFoldersList, {
+                selector: '.smart-folder-item',
+                idOf: item => item.dataset.folderId,
+                indexOf: id => this.smartFolders.findIndex(f => f.id === id),
+                move: (id, toIndex) => this.moveSmartFolder(id, toIndex),
+                activate: id => this.openSmartFolder(id)
+            });
+        }
+
+        // Category selection
+        const noteCategoryBtn = document.getElementById('note-category-btn');
+        const closeCategorySelectModalBtn = document.getElementById('close-category-select-modal');
+        
+        if (noteCategoryBtn) noteCategoryBtn.addEventListener('click', () => this.showCategorySelectModal());
+        if (closeCategorySelectModalBtn) closeCategorySelectModalBtn.addEventListener('click', () => this.closeCategorySelectModal());
+
+        const noteColorBtn = document.getElementById('note-color-btn');
+        if (noteColorBtn) noteColorBtn.addEventListener('click', () => this.toggleNoteColorMenu());
+
+        // Reminders
+        const noteDueBtn = document.getElementById('note-due-btn');
+        const setNoteDueBtn = document.getElementById('set-note-due');
+        const clearNoteDueBtn = document.getElementById('clear-note-due');
+        const noteDueInput = document.getElementById('note-due-input');
+
+        if (noteDueBtn) noteDueBtn.addEventListener('click', () => this.toggleDueMenu());
+        if (setNoteDueBtn && noteDueInput) setNoteDueBtn.addEventListener('click', () => this.setNoteDue(noteDueInput.value));
+        if (clearNoteDueBtn) clearNoteDueBtn.addEventListener('click', () => this.setNoteDue(null));
+
+        // FIXED: Tags management - Complete system
+        const addTagBtn = document.getElementById('add-tag');
+        const noteTagsBtn = document.getElementById('note-tags-btn');
+        const closeTagsModalBtn = document.getElementById('close-tags-modal');
+        const saveTagsBtn = document.getElementById('save-tags');
+        const cancelTagsBtn = document.getElementById('cancel-tags');
+        const closeCreateTagModalBtn = document.getElementById('close-create-tag-modal');
+        const saveCreateTagBtn = document.getElementById('save-create-tag');
+        const cancelCreateTagBtn = document.getElementById('cancel-create-tag');
+        
+        if (addTagBtn) addTagBtn.addEventListener('click', () => this.showCreateTagModal());
+        const tagMatchModeBtn = document.getElementById('tag-match-mode');
+        if (tagMatchModeBtn) tagMatchModeBtn.addEventListener('click', () => this.setTagMatchMode(this.tagMatchMode === 'all' ? 'any' : 'all'));
+        if (noteTagsBtn) noteTagsBtn.addEventListener('click', () => this.showTagsModal());
+        if (closeTagsModalBtn) closeTagsModalBtn.addEventListener('click', () => this.closeTagsModal());
+        if (saveTagsBtn) saveTagsBtn.addEventListener('click', () => this.saveTags());
+        if (cancelTagsBtn) cancelTagsBtn.addEventListener('click', () => this.closeTagsModal());
+        if (closeCreateTagModalBtn) closeCreateTagModalBtn.addEventListener('click', () => this.closeCreateTagModal());
+        if (saveCreateTagBtn) saveCreateTagBtn.addEventListener('click', () => this.saveCreateTag());
+        if (cancelCreateTagBtn) cancelCreateTagBtn.addEventListener('click', () => this.closeCreateTagModal());
+
+        // Tag manager
+        const manageTagsBtn = document.getElementById('manage-tags');
+        const closeTagManagerBtn = document.getElementById('close-tag-manager-modal');
+        const doneTagManagerBtn = document.getElementById('done-tag-manager');
+        const deleteUnusedTagsBtn = document.getElementById('delete-unused-tags');
+        const tagManagerForm = document.getElementById('tag-manager-form');
+        const cancelTagEditBtn = document.getElementById('cancel-tag-manager-edit');
+
+        if (manageTagsBtn) manageTagsBtn.addEventListener('click', () => this.showTagManager());
+        if (closeTagManagerBtn) closeTagManagerBtn.addEventListener('click', () => this.closeTagManager());
+        if (doneTagManagerBtn) doneTagManagerBtn.addEventListener('click', () => this.closeTagManager());
+        if (deleteUnusedTagsBtn) deleteUnusedTagsBtn.addEventListener('click', () => this.deleteUnusedTags());
+        if (tagManagerForm) {
+            tagManagerForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyTagEdit();
+            });
+        }
+        if (cancelTagEditBtn) cancelTagEditBtn.addEventListener('click', () => this.cancelTagEdit());
+
+        // Tag input handling
+        const tagInput = document.getElementById('tag-input');
+        if (tagInput) {
+            tagInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    this.addTagFromInput();
+                }
+            });
+        }
+
+        // Settings
+        const settingsBtn = document.getElementById('settings-btn');
+        const closeSettingsModalBtn = document.getElementById('close-settings-modal');
+        const exportBtn = document.getElementById('export-btn');
+        const exportAllBtn = document.getElementById('export-all');
+        const exportMarkdownBtn = document.getElementById('export-markdown');
+        const exportEncryptedBtn = document.getElementById('export-encrypted');
+        const importNotesBtn = document.getElementById('import-notes');
+        
+        if (settingsBtn) settingsBtn.addEventListener('click', () => this.showSettingsModal());
+        if (closeSettingsModalBtn) closeSettingsModalBtn.addEventListener('click', () => this.closeSettingsModal());
+        if (exportBtn) exportBtn.addEventListener('click', () => this.exportNotes());
+        if (exportAllBtn) exportAllBtn.addEventListener('click', () => this.exportNotes());
+        if (exportMarkdownBtn) exportMarkdownBtn.addEventListener('click', () => this.exportMarkdownArchive());
+        if (exportEncryptedBtn) exportEncryptedBtn.addEventListener('click', () => this.exportEncryptedBackup());
+
+        // Backup passphrase prompt
+        const passphraseForm = document.getElementById('backup-passphrase-form');
+        const cancelPassphraseBtn = document.getElementById('cancel-backup-passphrase');
+        const closePassphraseModalBtn = document.getElementById('close-backup-passphrase-modal');
+
+        if (passphraseForm) {
+            passphraseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitBackupPassphrase();
+            });
+        }
+        if (cancelPassphraseBtn) cancelPassphraseBtn.addEventListener('click', () => this.closeBackupPassphraseModal());
+        if (closePassphraseModalBtn) closePassphraseModalBtn.addEventListener('click', () => this.closeBackupPassphraseModal());
+
+        // Import preview
+        const confirmImportBtn = document.getElementById('confirm-import');
+        const cancelImportBtn = document.getElementById('cancel-import');
+        const closeImportModalBtn = document.getElementById('close-import-modal');
+        const importStrategySelect = document.getElementById('import-conflict-strategy');
+
+        if (confirmImportBtn) confirmImportBtn.addEventListener('click', () => this.applyImport());
+        if (cancelImportBtn) cancelImportBtn.addEventListener('click', () => this.closeImportModal());
+        if (closeImportModalBtn) closeImportModalBtn.addEventListener('click', () => this.closeImportModal());
+        if (importStrategySelect) importStrategySelect.addEventListener('change', (e) => this.applyImportStrategy(e.target.value));
+
+        // Share target
+        const createShareNoteBtn = document.getElementById('create-share-note');
+        const appendShareBtn = document.getElementById('append-share');
+        const discardShareBtn = document.getElementById('discard-share');
+        const closeShareModalBtn = document.getElementById('close-share-modal');
+
+        if (createShareNoteBtn) createShareNoteBtn.addEventListener('click', () => this.createNoteFromShare());
+        if (appendShareBtn) appendShareBtn.addEventListener('click', () => this.appendShareToNote());
+        if (discardShareBtn) discardShareBtn.addEventListener('click', () => this.discardSharedItem());
+        if (closeShareModalBtn) closeShareModalBtn.addEventListener('click', () => this.closeShareModal());
+
+        // Files opened from the OS
+        const launchFilesList = document.getElementById('launch-files-list');
+        const confirmLaunchFilesBtn = document.getElementById('confirm-launch-files');
+        const cancelLaunchFilesBtn = document.getElementById('cancel-launch-files');
+        const closeLaunchFilesModalBtn = document.getElementById('close-launch-files-modal');
+
+        if (launchFilesList) launchFilesList.addEventListener('change', () => this.updateLaunchFilesSelection());
+        if (confirmLaunchFilesBtn) confirmLaunchFilesBtn.addEventListener('click', () => this.confirmLaunchFiles());
+        if (cancelLaunchFilesBtn) cancelLaunchFilesBtn.addEventListener('click', () => this.closeLaunchFilesModal());
+        if (closeLaunchFilesModalBtn) closeLaunchFilesModalBtn.addEventListener('click', () => this.closeLaunchFilesModal());
+        if (importNotesBtn) importNotesBtn.addEventListener('click', () => this.importNotes());
+
+        // Sidebar toggle - FIXED
+        const sidebarToggleBtn = document.getElementById('sidebar-toggle');
+        if (sidebarToggleBtn) {
+            sidebarToggleBtn.addEventListener('click', () => this.toggleSidebar());
+        }
+
+        // Modal backdrop clicks
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-backdrop')) {
+                this.closeAllModals();
+            }
+        });
+
+        // Color picker
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('color-option')) {
+                this.selectColor(e.target);
+                if (e.target.closest('#note-color-picker')) {
+                    this.selectNoteColor(e.target.dataset.color);
+                }
+            }
+        });
+
+        // File input for imports
+        const fileInput = document.getElementById('file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => this.handleFileImport(e));
+        }
+
+        // Auto-save on editor changes
+        this.setupAutoSave();
+        
+        // Masonry layout updates
+        this.setupMasonryUpdates();
+    }
+
+    // ===== FIXED: SIDEBAR TOGGLE =====
+    toggleSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        if (!sidebar) return;
+        
+        // For mobile
+        if (window.innerWidth <= 768) {
+            sidebar.classList.toggle('open');
+            
+            // Add backdrop for mobile
+            if (sidebar.classList.contains('open')) {
+                this.addSidebarBackdrop();
+            } else {
+                this.removeSidebarBackdrop();
+            }
+        } else {
+            // For desktop - collapse/expand
+            this.sidebarCollapsed = !this.sidebarCollapsed;
+            sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
+            
+            // Trigger masonry layout update
+            setTimeout(() => this.updateMasonryLayout(), 300);
+        }
+    }
+
+    addSidebarBackdrop() {
+        let backdrop = document.querySelector('.sidebar-backdrop');
+        if (!backdrop) {
+            backdrop = document.createElement('div');
+            backdrop.className = 'sidebar-backdrop';
+            backdrop.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.5);
+                z-index: 1005;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+            `;
+            document.body.appendChild(backdrop);
+            
+            backdrop.addEventListener('click', () => {
+                this.toggleSidebar();
+            });
+            
+            // Trigger opacity transition
+            setTimeout(() => {
+                backdrop.style.opacity = '1';
+            }, 10);
+        }
+    }
+
+    removeSidebarBackdrop() {
+        const backdrop = document.querySelector('.sidebar-backdrop');
+        if (backdrop) {
+            backdrop.style.opacity = '0';
+            setTimeout(() => {
+                backdrop.remove();
+            }, 300);
+        }
+    }
+
+    // ===== MASONRY LAYOUT SYSTEM =====
+    setupMasonryUpdates() {
+        // Update layout when window resizes
+        window.addEventListener('resize', this.debounce(() => {
+            this.updateMasonryLayout();
+        }, 250));
+        
+        // Update layout when notes are rendered
+        const notesContainer = document.getElementById('notes-container');
+        if (notesContainer) {
+            const observer = new MutationObserver(() => {
+                this.updateMasonryLayout();
+            });
+            observer.observe(notesContainer, { childList: true, subtree: true });
+        }
+    }
+
+    updateMasonryLayout() {
+        const notesGrid = document.getElementById('notes-grid');
+        if (!notesGrid || !notesGrid.classList.contains('masonry-grid')) return;
+        
+        // For browsers that don't support CSS masonry
+        if (!CSS.supports('grid-template-rows', 'masonry')) {
+            this.implementJavaScriptMasonry();
+        }
+        
+        // Trigger reflow for proper sizing
+        setTimeout(() => {
+            const cards = notesGrid.querySelectorAll('.note-card');
+            cards.forEach(card => {
+                card.style.height = 'auto';
+            });
+        }, 50);
+    }
+
+    implementJavaScriptMasonry() {
+        const notesGrid = document.getElementById('notes-grid');
+        if (!notesGrid) return;
+        
+        const cards = Array.from(notesGrid.querySelectorAll('.note-card'));
+        if (cards.length === 0) return;
+        
+        // Reset grid to default
+        notesGrid.style.columns = '';
+        notesGrid.style.columnGap = '';
+        
+        // Calculate optimal columns based on container width
+        const containerWidth = notesGrid.offsetWidth;
+        const cardWidth = 280; // Minimum card width
+        const gap = 16;
+        const columns = Math.max(1, Math.floor((containerWidth + gap) / (cardWidth + gap)));
+        
+        if (window.innerWidth > 768) {
+            notesGrid.style.columns = columns;
+            notesGrid.style.columnGap = gap + 'px';
+            
+            cards.forEach(card => {
+                card.style.breakInside = 'avoid';
+                card.style.marginBottom = gap + 'px';
+                card.style.display = 'inline-block';
+                card.style.width = '100%';
+            });
+        } else {
+            // Single column on mobile
+            notesGrid.style.columns = '1';
+            cards.forEach(card => {
+                card.style.marginBottom = gap + 'px';
+            });
+        }
+    }
+
+    // ===== AUTHENTICATION =====
+    async handleSignup() {
+        const usernameInput = document.getElementById('username');
+        const passwordInput = document.getElementById('password');
+        
+        if (!usernameInput || !passwordInput) return;
+        
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value.trim();
+
+        if (!username || !password) {
+            this.showAuthMessage('Both fields are required.', 'error');
+            return;
+        }
+
+        if (password.length < 6) {
+            this.showAuthMessage('Password must be at least 6 characters long.', 'error');
+            return;
+        }
+
+        try {
+            if (await this.storage.getUser(username)) {
+                this.showAuthMessage('User already exists.', 'error');
+                return;
+            }
+
+            const passwordSalt = this.generateSalt(PASSWORD_SALT_BYTES);
+            const hashedPassword = await this.hashPassword(password, passwordSalt, PASSWORD_KDF_ITERATIONS);
+            const vaultSalt = this.generateSalt();
+            const vaultKey = await this.deriveVaultKey(password, vaultSalt, VAULT_KDF_ITERATIONS);
+            const vault = await this.encryptVault({
+                categories: this.getDefaultCategories(),
+                tags: []
+            }, vaultKey);
+
+            await this.storage.putUser({
+                username: username,
+                password: hashedPassword,
+                passwordSalt: passwordSalt,
+                passwordIterations: PASSWORD_KDF_ITERATIONS,
+                vault: {
+                    salt: vaultSalt,
+                    iterations: VAULT_KDF_ITERATIONS,
+                    ...vault
+                },
+                settings: this.getDefaultSettings(),
+                schemaVersion: DATA_SCHEMA_VERSION,
+                createdAt: new Date().toISOString()
+            });
+
+            this.showAuthMessage('Account created successfully! Please sign in.', 'success');
+            
+            // Clear form
+            usernameInput.value = '';
+            passwordInput.value = '';
+            
+        } catch (error) {
+            console.error('Signup error:', error);
+            this.showAuthMessage('An error occurred during signup.', 'error');
+        }
+    }
+
+    async handleLogin() {
+        const usernameInput = document.getElementById('username');
+        const passwordInput = document.getElementById('password');
+        const rememberMeCheckbox = document.getElementById('remember-me');
+        
+        if (!usernameInput || !passwordInput || !rememberMeCheckbox) return;
+        
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value.trim();
+        const rememberMe = rememberMeCheckbox.checked;
+
+        if (!username || !password) {
+            this.showAuthMessage('Both fields are required.', 'error');
+            return;
+        }
+
+        try {
+            const userData = await this.storage.getUser(username);
+
+            if (!userData) {
+                this.showAuthMessage('User not found.', 'error');
+                return;
+            }
+
+            const userErrors = DataSchema.validateUser(userData);
+            if (userErrors.length) {
+                console.error(`Account "${username}" is damaged: ${userErrors.join(', ')}`);
+                this.showAuthMessage('This account record is damaged and cannot be opened.', 'error');
+                return;
+            }
+
+            if (await this.verifyPassword(userData, password)) {
+                await this.upgradePasswordHash(username, password);
+                await this.unlockVault(username, password);
+                this.currentUser = username;
+
+                if (rememberMe) {
+                    localStorage.setItem('rememberedUser', username);
+                } else {
+                    localStorage.removeItem('rememberedUser');
+                }
+
+                await this.loadUserData();
+                this.showMainApp();
+                this.showToast('Welcome back!', 'success');
+                this.restoreRoute();
+                this.startReminders();
+                if (this.runPendingUrlAction()) {
+                    // The requested note or search takes precedence over queued content
+                } else if (this.launchedFiles.length > 0) {
+                    this.showLaunchedFiles();
+                } else {
+                    this.showNextSharedItem();
+                }
+            } else {
+                this.showAuthMessage('Invalid credentials.', 'error');
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            this.vaultKey = null;
+            this.showAuthMessage('An error occurred during login.', 'error');
+        }
+    }
+
+    async handleLogout() {
+        // Flush queued writes while the key is still available
+        clearTimeout(this.autoSaveTimeout);
+        clearTimeout(this.reminderTimeout);
+        await this.pendingSave;
+
+        this.currentUser = null;
+        this.vaultKey = null;
+        this.indexKey = null;
+        this.vaultMeta = {};
+        this.persistedNotes.clear();
+        this.searchIndex.clear();
+        this.settings = this.getDefaultSettings();
+        this.notes = [];
+        this.categories = [];
+        this.tags = [];
+        this.smartFolders = [];
+        this.smartFolderCounts.clear();
+        this.allTags.clear();
+        this.collapsedTags.clear();
+        this.collapsedNotebooks.clear();
+        this.activeFilter = 'all';
+        this.activeCategories = [];
+        this.activeTags = [];
+        this.currentNote = null;
+        this.routeReady = false;
+        this.remindersReady = false;
+        this.reminderScheduleJson = null;
+        history.replaceState(null, '', window.location.pathname);
+
+        localStorage.removeItem('rememberedUser');
+
+        this.closeAllModals();
+        this.renderNotes();
+        this.showAuthSection();
+        this.clearForms();
+        this.showToast('Signed out successfully', 'success');
+    }
+
+    // The vault key is never persisted, so a remembered user still has to
+    // enter their password once per session; we only pre-fill the username.
+    async checkAutoLogin() {
+        const rememberedUser = localStorage.getItem('rememberedUser');
+
+        this.showAuthSection();
+
+        if (rememberedUser) {
+            if (await this.storage.getUser(rememberedUser)) {
+                const usernameInput = document.getElementById('username');
+                const passwordInput = document.getElementById('password');
+                const rememberMeCheckbox = document.getElementById('remember-me');
+
+                if (usernameInput) usernameInput.value = rememberedUser;
+                if (rememberMeCheckbox) rememberMeCheckbox.checked = true;
+                if (passwordInput) passwordInput.focus();
+                this.showAuthMessage('Enter your password to unlock your vault.', 'success');
+            }
+        }
+    }
+
+    showAuthMessage(message, type = 'error') {
+        const messageEl = document.getElementById('auth-message');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.className = `auth-message ${type}`;
+            
+            setTimeout(() => {
+                messageEl.textContent = '';
+                messageEl.className = 'auth-message';
+            }, 5000);
+        }
+    }
+
+    // FIXED: Password visibility toggle
+    togglePasswordVisibility(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const passwordInput = document.getElementById('password');
+        const toggleIcon = document.querySelector('#toggle-password i');
+        
+        if (!passwordInput || !toggleIcon) return;
+        
+        try {
+            if (passwordInput.type === 'password') {
+                passwordInput.type = 'text';
+                toggleIcon.setAttribute('data-lucide', 'eye-off');
+            } else {
+                passwordInput.type = 'password';
+                toggleIcon.setAttribute('data-lucide', 'eye');
+            }
+            
+            // Re-initialize Lucide icons
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
+        } catch (error) {
+            console.error('Error toggling password visibility:', error);
+        }
+    }
+
+    // ===== ENHANCED DATA MANAGEMENT (OFFLINE SUPPORT) =====
+    // FIXED: Load user data with proper tag handling
+    async loadUserData() {
+        try {
+            const userData = await this.storage.getUser(this.currentUser);
+
+            if (userData) {
+                // Accounts created before encryption still hold plaintext
+                // fields; they are encrypted on the first save below.
+                const isEncrypted = Boolean(userData.vault && userData.vault.data);
+                const vaultData = isEncrypted
+                    ? await this.decryptVault(userData.vault, this.vaultKey)
+                    : userData;
+
+                let needsSave = !isEncrypted;
+                this.persistedNotes.clear();
+
+                let storedNotes;
+                const unreadable = [];
+                const storedIndex = new Map();
+                const isSingleBlob = Array.isArray(vaultData.notes);
+                if (isSingleBlob) {
+                    // Single-blob vaults: notes are split into records on save
+                    storedNotes = vaultData.notes;
+                    needsSave = true;
+                } else {
+                    const records = await this.storage.getNotes(this.currentUser);
+                    storedNotes = [];
+                    for (const record of records) {
+                        try {
+                            storedNotes.push(await this.decryptVault(record, this.vaultKey));
+                        } catch (error) {
+                            unreadable.push({ label: `Note record ${record.id}`, errors: ['could not be decrypted'] });
+                            continue;
+                        }
+                        // A missing or unreadable index entry is simply rebuilt
+                        if (record.searchIndex) {
+                            try {
+                                storedIndex.set(record.id, await this.decryptVault(record.searchIndex, this.vaultKey));
+                            } catch (error) {
+                                console.warn(`Rebuilding the search index for ${record.id}`);
+                            }
+                        }
+                    }
+                    // Records are tracked as stored, so migrated notes differ and get rewritten
+                    storedNotes.forEach(note => {
+                        if (note && note.id) this.persistedNotes.set(note.id, JSON.stringify(note));
+                    });
+                }
+
+                const upgraded = DataSchema.upgrade({
+                    notes: storedNotes,
+                    categories: vaultData.categories || this.getDefaultCategories(),
+                    tags: vaultData.tags
+                }, userData.schemaVersion);
+                const loadedIds = new Set(upgraded.notes.map(note => note.id));
+                this.persistedNotes.forEach((json, id) => {
+                    if (!loadedIds.has(id)) this.persistedNotes.delete(id);
+                });
+                // Rejected note records stay untouched in storage. Notebooks, and
+                // notes of a single-blob vault, only live in the vault data that
+                // the next save rewrites, so their raw records are carried along
+                // there to be recovered by hand.
+                const keptRejected = (kept, kind) => [
+                    ...(Array.isArray(kept) ? kept : []),
+                    ...upgraded.rejected.filter(item => item.kind === kind).map(item => item.record)
+                ];
+                const rejectedNotes = keptRejected(vaultData.rejectedNotes, isSingleBlob ? 'Note' : null);
+                const rejectedCategories = keptRejected(vaultData.rejectedCategories, 'Notebook');
+                const rejected = [...unreadable, ...upgraded.rejected];
+                if (rejected.length) {
+                    console.warn(`Skipped ${rejected.length} stored record(s):\n${DataSchema.formatReport(rejected)}`);
+                    this.showToast(`${rejected.length} stored record${rejected.length === 1 ? '' : 's'} could not be loaded (details in the console)`, 'error', 6000);
+                }
+                if (userData.schemaVersion !== DATA_SCHEMA_VERSION) {
+                    needsSave = true;
+                }
+
+                this.notes = upgraded.notes;
+                this.categories = upgraded.categories;
+                this.tags = upgraded.tags;
+                this.smartFolders = this.readSmartFolders(vaultData.smartFolders);
+                this.settings = { ...this.getDefaultSettings(), ...userData.settings };
+                this.rebuildSearchIndex(storedIndex);
+
+                if (!vaultData.indexKey) {
+                    vaultData.indexKey = this.bufferToBase64(crypto.getRandomValues(new Uint8Array(32)));
+                    needsSave = true;
+                }
+                this.vaultMeta = { indexKey: vaultData.indexKey };
+                if (rejectedNotes.length) this.vaultMeta.rejectedNotes = rejectedNotes;
+                if (rejectedCategories.length) this.vaultMeta.rejectedCategories = rejectedCategories;
+                this.indexKey = await crypto.subtle.importKey(
+                    'raw', this.base64ToBuffer(vaultData.indexKey),
+                    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+                );
+
+                // Extract all unique tags from notes and user tags
+                this.extractAllTags();
+
+                if (this.purgeExpiredTrash()) {
+                    needsSave = true;
+                }
+
+                if (needsSave) {
+                    this.saveUserData();
+                }
+
+                this.renderNotes();
+                this.updateNavigationCounts();
+                this.renderCategories();
+                this.renderTags();
+
+                // Update masonry layout
+                setTimeout(() => this.updateMasonryLayout(), 100);
+            }
+        } catch (error) {
+            console.error('Error loading user data:', error);
+            // Drop the key so an empty in-memory vault can't overwrite the stored one
+            this.vaultKey = null;
+            this.showToast('Error loading notes', 'error');
+        }
+    }
+
+    // FIXED: Save user data with proper tag sync
+    // Only notes whose JSON differs from the last write are re-encrypted.
+    saveUserData() {
+        if (!this.currentUser || !this.vaultKey) return this.pendingSave;
+
+        const username = this.currentUser;
+        const vaultKey = this.vaultKey;
+        const changedNotes = [];
+        const currentIds = new Set();
+
+        // Snapshot now so later in-memory edits don't leak into this write
+        this.notes.forEach(note => {
+            const json = JSON.stringify(note);
+            currentIds.add(note.id);
+            if (this.persistedNotes.get(note.id) !== json) {
+                const snapshot = JSON.parse(json);
+                const searchEntry = SearchIndex.buildEntry(snapshot);
+                this.searchIndex.set(note.id, searchEntry);
+                changedNotes.push({ note: snapshot, searchEntry });
+                this.persistedNotes.set(note.id, json);
+            }
+        });
+
+        const deletedIds = Array.from(this.persistedNotes.keys()).filter(id => !currentIds.has(id));
+        deletedIds.forEach(id => {
+            this.persistedNotes.delete(id);
+            this.searchIndex.remove(id);
+        });
+
+        const settings = { ...this.settings };
+        const meta = JSON.parse(JSON.stringify({
+            categories: this.categories,
+            tags: Array.from(this.allTags),
+            smartFolders: this.smartFolders,
+            ...this.vaultMeta
+        }));
+
+        // Encryption is async; chain writes so they land in call order
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                const userData = await this.storage.getUser(username);
+                if (!userData) return;
+
+                const vault = await this.encryptVault(meta, vaultKey);
+                userData.vault = { ...userData.vault, ...vault };
+                delete userData.notes;
+                delete userData.categories;
+                delete userData.tags;
+                userData.settings = settings;
+                userData.schemaVersion = DATA_SCHEMA_VERSION;
+                userData.lastModified = new Date().toISOString();
+
+                const records = await Promise.all(changedNotes.map(({ note, searchEntry }) =>
+                    this.serializeNote(note, username, vaultKey, searchEntry)));
+                await this.storage.saveVault(userData, records, deletedIds);
+            } catch (error) {
+                console.error('Error saving user data:', error);
+                // Forget what we think is on disk so the next save rewrites everything
+                this.persistedNotes.clear();
+                this.showToast('Error saving data', 'error');
+            }
+        });
+
+        // Update counts after saving
+        this.updateNavigationCounts();
+        this.renderCategories(); // This will update category counts
+        this.renderTags(); // This will update tag counts
+        this.scheduleReminders();
+
+        return this.pendingSave;
+    }
+
+    async serializeNote(note, owner, vaultKey, searchEntry = SearchIndex.buildEntry(note)) {
+        const record = {
+            owner: owner,
+            id: note.id,
+            modifiedAt: note.modifiedAt,
+            tags: await Promise.all((note.tags || []).map(tag => this.blindIndex('tag', tag))),
+            searchIndex: await this.encryptVault(searchEntry, vaultKey),
+            ...await this.encryptVault(note, vaultKey)
+        };
+        // Uncategorised notes are simply left out of the category index
+        if (note.category) {
+            record.category = await this.blindIndex('category', note.category);
+        }
+        return record;
+    }
+
+    // Stored entries are reused for notes that are unchanged since they were written
+    rebuildSearchIndex(storedIndex = new Map()) {
+        this.searchIndex.clear();
+        this.notes.forEach(note => {
+            const stored = storedIndex.get(note.id);
+            const current = stored && stored.version === SEARCH_INDEX_VERSION &&
+                this.persistedNotes.get(note.id) === JSON.stringify(note);
+            this.searchIndex.set(note.id, current ? stored : SearchIndex.buildEntry(note));
+        });
+    }
+
+    // Keyed hash used in place of category/tag names in the IndexedDB indexes
+    async blindIndex(kind, value) {
+        const data = new TextEncoder().encode(`${kind}:${value}`);
+        const signature = await crypto.subtle.sign('HMAC', this.indexKey, data);
+        return this.bufferToBase64(signature);
+    }
+
+    getDefaultSettings() {
+        return {
+            defaultView: 'grid',
+            trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
+        };
+    }
+
+    getDefaultCategories() {
+        return [
+            { id: 'personal', name: 'Personal', color: '#3b82f6', parentId: null },
+            { id: 'work', name: 'Work', color: '#10b981', parentId: null },
+            { id: 'ideas', name: 'Ideas', color: '#f59e0b', parentId: null }
+        ];
+    }
+
+    // ===== OFFLINE SYNC =====
+    async syncOfflineChanges() {
+        if (this.isOffline) return;
+        
+        try {
+            // In a real app, this would sync with a server
+            // For now, just ensure data is properly cached
+            this.saveUserData();
+            this.showToast('Data synchronized', 'success');
+        } catch (error) {
+            console.error('Sync error:', error);
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    async hashPassword(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const hashBuffer = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.base64ToBuffer(salt), iterations, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+        return this.bufferToHex(hashBuffer);
+    }
+
+    // Unsalted SHA-256, only used to verify accounts created before salting
+    async hashLegacyPassword(password) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(password);
+        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+        return this.bufferToHex(hashBuffer);
+    }
+
+    bufferToHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    async verifyPassword(userData, password) {
+        const hashedPassword = userData.passwordSalt
+            ? await this.hashPassword(password, userData.passwordSalt, userData.passwordIterations)
+            : await this.hashLegacyPassword(password);
+
+        // Compare every character so timing doesn't reveal the match length
+        const stored = userData.password || '';
+        let diff = stored.length ^ hashedPassword.length;
+        for (let i = 0; i < hashedPassword.length; i++) {
+            diff |= stored.charCodeAt(i) ^ hashedPassword.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    // Re-hash legacy or under-strength hashes after a successful sign-in
+    async upgradePasswordHash(username, password) {
+        const userData = await this.storage.getUser(username);
+
+        if (userData.passwordSalt && userData.passwordIterations >= PASSWORD_KDF_ITERATIONS) return;
+
+        const passwordSalt = this.generateSalt(PASSWORD_SALT_BYTES);
+        userData.password = await this.hashPassword(password, passwordSalt, PASSWORD_KDF_ITERATIONS);
+        userData.passwordSalt = passwordSalt;
+        userData.passwordIterations = PASSWORD_KDF_ITERATIONS;
+        await this.storage.putUser(userData);
+    }
+
+    // ===== VAULT ENCRYPTION =====
+    generateSalt(length = VAULT_SALT_BYTES) {
+        return this.bufferToBase64(crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    bufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    base64ToBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    async deriveVaultKey(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.base64ToBuffer(salt), iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // Non-extractable: the raw key can't be read back out
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptVault(data, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+        const plaintext = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return {
+            iv: this.bufferToBase64(iv),
+            data: this.bufferToBase64(ciphertext)
+        };
+    }
+
+    async decryptVault(vault, key) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBuffer(vault.iv) },
+            key,
+            this.base64ToBuffer(vault.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Derives the in-memory vault key, assigning a salt to legacy accounts
+    async unlockVault(username, password) {
+        const userData = await this.storage.getUser(username);
+
+        if (!userData.vault) {
+            userData.vault = { salt: this.generateSalt(), iterations: VAULT_KDF_ITERATIONS };
+            await this.storage.putUser(userData);
+        }
+
+        this.vaultKey = await this.deriveVaultKey(password, userData.vault.salt, userData.vault.iterations);
+    }
+
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        const now = new Date();
+        const diffTime = Math.abs(now - date);
+        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        
+        if (diffDays === 1) {
+            return 'Today';
+        } else if (diffDays === 2) {
+            return 'Yesterday';
+        } else if (diffDays <= 7) {
+            return `${diffDays - 1} days ago`;
+        } else {
+            return date.toLocaleDateString();
+        }
+    }
+
+    stripHtml(html) {
+        const tmp = document.createElement('div');
+        tmp.innerHTML = html;
+        return tmp.textContent || tmp.innerText || '';
+    }
+
+    // Starts the preview shortly before the first search match
+    getSearchSnippet(text) {
+        if (!this.searchHighlight) return text;
+
+        const first = text.search(this.searchHighlight);
+        if (first <= SEARCH_SNIPPET_LEAD) return text;
+
+        const start = text.indexOf(' ', first - SEARCH_SNIPPET_LEAD);
+        return `…${text.slice(start >= 0 && start < first ? start + 1 : first)}`;
+    }
+
+    // Escapes text for a note card and wraps search matches in <mark>
+    highlightMatches(text) {
+        if (!this.searchHighlight) return this.escapeHtml(text);
+
+        return text.split(this.searchHighlight)
+            .map((part, index) => index % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    }
+
+    getWordCount(text) {
+        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    }
+
+    // ===== UI MANAGEMENT =====
+    showAuthSection() {
+        const authSection = document.getElementById('auth-section');
+        const appContainer = document.getElementById('app-container');
+        
+        if (authSection) authSection.classList.remove('hidden');
+        if (appContainer) appContainer.classList.add('hidden');
+    }
+
+    showMainApp() {
+        const authSection = document.getElementById('auth-section');
+        const appContainer = document.getElementById('app-container');
+        
+        if (authSection) authSection.classList.add('hidden');
+        if (appContainer) appContainer.classList.remove('hidden');
+        
+        // Initialize icons
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        // Initialize Quill if not already done
+        if (!this.quillEditor) {
+            this.initializeQuillEditor();
+        }
+        
+        // Update masonry layout
+        setTimeout(() => this.updateMasonryLayout(), 200);
+    }
+
+    clearForms() {
+        const usernameInput = document.getElementById('username');
+        const passwordInput = document.getElementById('password');
+        const rememberMeCheckbox = document.getElementById('remember-me');
+        const searchInput = document.getElementById('search-input');
+        
+        if (usernameInput) usernameInput.value = '';
+        if (passwordInput) passwordInput.value = '';
+        if (rememberMeCheckbox) rememberMeCheckbox.checked = false;
+        if (searchInput) searchInput.value = '';
+    }
+
+    // ===== SEARCH FUNCTIONALITY =====
+    handleSearch(query) {
+        this.searchQuery = query;
+        
+        const searchClear = document.getElementById('search-clear');
+        if (searchClear) {
+            if (query.length > 0) {
+                searchClear.classList.remove('hidden');
+            } else {
+                searchClear.classList.add('hidden');
+            }
+        }
+        
+        this.renderNotes();
+        this.updateFiltersBar();
+        this.updateRoute();
+    }
+
+    clearSearch() {
+        const searchInput = document.getElementById('search-input');
+        const searchClear = document.getElementById('search-clear');
+        
+        if (searchInput) searchInput.value = '';
+        if (searchClear) searchClear.classList.add('hidden');
+        
+        this.searchQuery = '';
+        this.renderNotes();
+        this.updateFiltersBar();
+        this.updateRoute();
+    }
+
+    // ===== FILTERING & SORTING =====
+    // Switching the sidebar view drops any category and tag selection
+    setActiveFilter(filter) {
+        this.setFilterView({ filter, tagMode: this.tagMatchMode });
+    }
+
+    // Replaces the whole view at once, as routes and smart folders do
+    setFilterView({ filter = 'all', categories = [], tags = [], tagMode = 'any' }) {
+        this.activeFilter = filter;
+        this.activeCategories = categories.filter(id => this.categories.some(c => c.id === id));
+        this.activeTags = [...tags];
+        this.tagMatchMode = tagMode === 'all' ? 'all' : 'any';
+        
+        // Update nav items
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.remove('active');
+        });
+        
+        const activeNavItem = document.querySelector(`[data-filter="${filter}"]`);
+        if (activeNavItem) {
+            activeNavItem.classList.add('active');
+        }
+        
+        this.applyFilterSelection();
+    }
+
+    // Categories and tags narrow the current view and can be combined.
+    // Several categories match any of them; several tags match any or all.
+    toggleCategoryFilter(categoryId) {
+        this.activeCategories = this.activeCategories.includes(categoryId)
+            ? this.activeCategories.filter(id => id !== categoryId)
+            : [...this.activeCategories, categoryId];
+        this.applyFilterSelection();
+    }
+
+    toggleTagFilter(tag) {
+        this.activeTags = this.activeTags.includes(tag)
+            ? this.activeTags.filter(t => t !== tag)
+            : [...this.activeTags, tag];
+        this.applyFilterSelection();
+    }
+
+    setTagMatchMode(mode) {
+        this.tagMatchMode = mode === 'all' ? 'all' : 'any';
+        this.applyFilterSelection();
+    }
+
+    applyFilterSelection() {
+        this.renderCategories();
+        this.renderTags();
+        this.updateTagMatchToggle();
+        this.renderNotes();
+        this.updateFiltersBar();
+        this.updateRoute({ push: true });
+    }
+
+    updateTagMatchToggle() {
+        const toggle = document.getElementById('tag-match-mode');
+        if (!toggle) return;
+
+        toggle.classList.toggle('hidden', this.activeTags.length < 2);
+        toggle.textContent = this.tagMatchMode === 'all' ? 'Match all' : 'Match any';
+        toggle.title = this.tagMatchMode === 'all'
+            ? 'Showing notes with all selected tags. Click to match any of them.'
+            : 'Showing notes with any selected tag. Click to require all of them.';
+        toggle.setAttribute('aria-pressed', String(this.tagMatchMode === 'all'));
+    }
+
+    setSortBy(sortBy) {
+        this.sortBy = sortBy;
+        this.renderNotes();
+    }
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        
+        document.querySelectorAll('.view-toggle .btn').forEach(btn => btn.classList.remove('active'));
+        
+        const activeViewBtn = document.getElementById(`${mode}-view`);
+        if (activeViewBtn) {
+            activeViewBtn.classList.add('active');
+        }
+        
+        const notesGrid = document.getElementById('notes-grid');
+        if (notesGrid) {
+            if (mode === 'list') {
+                notesGrid.classList.add('list-view');
+                notesGrid.classList.remove('masonry-grid');
+            } else {
+                notesGrid.classList.remove('list-view');
+                notesGrid.classList.add('masonry-grid');
+                // Update masonry layout
+                setTimeout(() => this.updateMasonryLayout(), 100);
+            }
+        }
+    }
+
+    toggleSortMenu() {
+        const menu = document.getElementById('sort-menu');
+        if (menu) {
+            menu.classList.toggle('hidden');
+        }
+    }
+
+    updateFiltersBar() {
+        const filtersBar = document.getElementById('filters-bar');
+        const activeFiltersList = document.getElementById('active-filters-list');
+        
+        if (!filtersBar || !activeFiltersList) return;
+        
+        let hasFilters = false;
+        activeFiltersList.innerHTML = '';
+        
+        const search = SearchQuery.parse(this.searchQuery);
+        search.forEach((group, groupIndex) => {
+            if (groupIndex > 0) {
+                activeFiltersList.appendChild(this.createFilterSeparator('or'));
+            }
+            group.forEach((term, termIndex) => {
+                const { label, value } = SearchQuery.describe(term);
+                const chip = this.createFilterTag(label, value, () => this.removeSearchTerm(groupIndex, termIndex));
+                if (term.invalid) {
+                    chip.classList.add('invalid');
+                    chip.title = 'Not understood, so this term is ignored';
+                }
+                activeFiltersList.appendChild(chip);
+            });
+            hasFilters = true;
+        });
+        
+        const categories = this.activeCategories
+            .map(id => this.categories.find(c => c.id === id))
+            .filter(Boolean);
+        categories.forEach((category, index) => {
+            if (index > 0) activeFiltersList.appendChild(this.createFilterSeparator('or'));
+            activeFiltersList.appendChild(this.createFilterTag('Notebook', this.getNotebookPathName(category.id), () => this.toggleCategoryFilter(category.id)));
+            hasFilters = true;
+        });
+        
+        this.activeTags.forEach((tag, index) => {
+            if (index > 0) activeFiltersList.appendChild(this.createFilterSeparator(this.tagMatchMode === 'all' ? 'and' : 'or'));
+            activeFiltersList.appendChild(this.createFilterTag('Tag', tag, () => this.toggleTagFilter(tag)));
+            hasFilters = true;
+        });
+        
+        if (hasFilters) {
+            filtersBar.classList.remove('hidden');
+        } else {
+            filtersBar.classList.add('hidden');
+        }
+    }
+
+    createFilterSeparator(text) {
+        const separator = document.createElement('span');
+        separator.className = 'filter-separator';
+        separator.textContent = text;
+        return separator;
+    }
+
+    createFilterTag(type, value, onRemove) {
+        const tag = document.createElement('div');
+        tag.className = 'filter-tag';
+        tag.innerHTML = `
+            <span>${this.escapeHtml(type)}: ${this.escapeHtml(value)}</span>
+            <button type="button"><i data-lucide="x" width="12" height="12"></i></button>
+        `;
+        
+        const removeBtn = tag.querySelector('button');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', onRemove);
+        }
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        return tag;
+    }
+
+    removeSearchTerm(groupIndex, termIndex) {
+        const search = SearchQuery.parse(this.searchQuery);
+        search[groupIndex].splice(termIndex, 1);
+
+        const query = SearchQuery.stringify(search.filter(group => group.length > 0));
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = query;
+        this.handleSearch(query);
+    }
+
+    clearAllFilters() {
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = '';
+        this.searchQuery = '';
+        this.setActiveFilter('all');
+    }
+
+    // ===== NOTES MANAGEMENT =====
+    createNote(initial = {}) {
         const note = {
             id: this.generateId(),
             title: '',
@@ -1057,989 +3064,4484 @@ class NotesApp {
             isFavorite: false,
             color: '#ffffff',
             createdAt: new Date().toISOString(),
+            modifiedAt: new Date().toISOString(),
+            deletedAt: null,
+            dueAt: null,
+            remindedAt: null,
+            ...initial
+        };
+        
+        this.currentNote = note;
+        this.showNoteModal(note);
+    }
+
+    editNote(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (note) {
+            this.currentNote = { ...note }; // Create a copy for editing
+            this.showNoteModal(this.currentNote);
+        }
+    }
+
+    async saveCurrentNote() {
+        if (!this.currentNote) return;
+        
+        const titleInput = document.getElementById('note-title-input');
+        if (!titleInput || !this.quillEditor) return;
+        
+        const title = titleInput.value.trim();
+        const content = this.quillEditor.root.innerHTML;
+        const plainText = this.quillEditor.getText().trim();
+        
+        if (!title && !plainText) {
+            this.showToast('Note cannot be empty', 'error');
+            return;
+        }
+        
+        this.renameWikiLinks(title);
+        this.currentNote.title = title || 'Untitled';
+        this.currentNote.content = content;
+        this.currentNote.plainText = plainText;
+        this.currentNote.modifiedAt = new Date().toISOString();
+        
+        // Find existing note or create new one
+        const existingIndex = this.notes.findIndex(n => n.id === this.currentNote.id);
+        
+        if (existingIndex >= 0) {
+            this.notes[existingIndex] = this.currentNote;
+        } else {
+            this.notes.push(this.currentNote);
+        }
+        
+        this.recordNoteVersion(this.currentNote);
+        this.saveUserData();
+        this.renderNotes();
+        this.updateNavigationCounts();
+        this.closeNoteModal();
+        
+        this.showToast('Note saved successfully', 'success');
+        
+        // Update masonry layout
+        setTimeout(() => this.updateMasonryLayout(), 100);
+    }
+
+    // Notes already in the trash are deleted for good; others are moved there
+    deleteCurrentNote() {
+        if (!this.currentNote) return;
+
+        if (this.currentNote.deletedAt) {
+            this.deleteNoteForever(this.currentNote.id);
+        } else {
+            this.moveNoteToTrash(this.currentNote.id);
+        }
+    }
+
+    restoreCurrentNote() {
+        if (!this.currentNote) return;
+        this.restoreNoteFromTrash(this.currentNote.id);
+    }
+
+    // ===== TRASH =====
+    getActiveNotes() {
+        return this.notes.filter(note => !note.deletedAt);
+    }
+
+    getTrashedNotes() {
+        return this.notes.filter(note => note.deletedAt);
+    }
+
+    moveNoteToTrash(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+
+        if (!note) {
+            // A brand-new note that was never saved has nothing to trash
+            this.closeNoteModal();
+            return;
+        }
+
+        note.deletedAt = new Date().toISOString();
+        this.saveUserData();
+        this.renderNotes();
+        this.closeNoteModal();
+        this.showToast('Note moved to trash', 'success');
+
+        // Update masonry layout
+        setTimeout(() => this.updateMasonryLayout(), 100);
+    }
+
+    restoreNoteFromTrash(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (!note) return;
+
+        note.deletedAt = null;
+        this.saveUserData();
+        this.renderNotes();
+        this.closeNoteModal();
+        this.showToast('Note restored', 'success');
+
+        // Update masonry layout
+        setTimeout(() => this.updateMasonryLayout(), 100);
+    }
+
+    deleteNoteForever(noteId) {
+        if (!confirm('Permanently delete this note? This cannot be undone.')) return;
+
+        this.notes = this.notes.filter(n => n.id !== noteId);
+        this.saveUserData();
+        this.renderNotes();
+        this.closeNoteModal();
+        this.showToast('Note deleted', 'success');
+
+        // Update masonry layout
+        setTimeout(() => this.updateMasonryLayout(), 100);
+    }
+
+    emptyTrash() {
+        const trashedCount = this.getTrashedNotes().length;
+        if (trashedCount === 0) {
+            this.showToast('Trash is already empty', 'info');
+            return;
+        }
+
+        if (!confirm(`Permanently delete ${trashedCount} note${trashedCount === 1 ? '' : 's'} in the trash?`)) return;
+
+        this.notes = this.getActiveNotes();
+        this.saveUserData();
+        this.renderNotes();
+        this.showToast('Trash emptied', 'success');
+    }
+
+    // Drops notes trashed longer than the retention period; returns whether
+    // anything was removed (the caller decides when to save)
+    purgeExpiredTrash() {
+        const days = Number(this.settings.trashRetentionDays);
+        if (!days) return false;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const before = this.notes.length;
+        this.notes = this.notes.filter(note => !note.deletedAt || new Date(note.deletedAt).getTime() > cutoff);
+        return this.notes.length !== before;
+    }
+
+    updateTrashToolbar() {
+        const emptyTrashBtn = document.getElementById('empty-trash');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.classList.toggle('hidden', this.activeFilter !== 'trash');
+        }
+    }
+
+    updateEmptyState() {
+        const title = document.querySelector('#empty-state h3');
+        const message = document.querySelector('#empty-state p');
+        const newNoteBtn = document.getElementById('empty-new-note');
+        const inTrash = this.activeFilter === 'trash';
+        const days = Number(this.settings.trashRetentionDays);
+
+        if (title) title.textContent = inTrash ? 'Trash is empty' : 'No notes yet';
+        if (message) {
+            message.textContent = !inTrash
+                ? 'Create your first note to get started'
+                : days
+                    ? `Deleted notes are kept here for ${days} days`
+                    : 'Deleted notes are kept here until you empty the trash';
+        }
+        if (newNoteBtn) newNoteBtn.classList.toggle('hidden', inTrash);
+    }
+
+    setTrashRetention(days) {
+        this.settings.trashRetentionDays = Number(days);
+        this.purgeExpiredTrash();
+        this.saveUserData();
+        this.renderNotes();
+        this.showToast('Trash settings updated', 'success');
+    }
+
+    createDuplicate(original) {
+        const duplicate = {
+            ...original,
+            id: this.generateId(),
+            title: `${original.title} (Copy)`,
+            tags: [...(original.tags || [])],
+            createdAt: new Date().toISOString(),
             modifiedAt: new Date().toISOString()
         };
-        
-        this.currentNote = note;
-        this.showNoteModal(note);
+        this.notes.push(duplicate);
+        return duplicate;
+    }
+
+    duplicateNote(noteId) {
+        const original = this.notes.find(n => n.id === noteId);
+        if (original) {
+            this.createDuplicate(original);
+            this.saveUserData();
+            this.renderNotes();
+            this.showToast('Note duplicated', 'success');
+            
+            // Update masonry layout
+            setTimeout(() => this.updateMasonryLayout(), 100);
+        }
+    }
+
+    toggleNotePinned(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (note) {
+            note.isPinned = !note.isPinned;
+            note.modifiedAt = new Date().toISOString();
+            this.saveUserData();
+            this.renderNotes();
+            this.updateNavigationCounts();
+        }
+    }
+
+    toggleNoteFavorite(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (note) {
+            note.isFavorite = !note.isFavorite;
+            note.modifiedAt = new Date().toISOString();
+            this.saveUserData();
+            this.renderNotes();
+            this.updateNavigationCounts();
+        }
+    }
+
+    // ===== NOTE RENDERING WITH MASONRY =====
+    renderNotes() {
+        const container = document.getElementById('notes-grid');
+        const emptyState = document.getElementById('empty-state');
+        
+        if (!container || !emptyState) return;
+        
+        let filteredNotes = this.getFilteredNotes();
+        this.updateTrashToolbar();
+        this.renderSmartFolders();
+        
+        // Never act on notes the user can no longer see
+        const visibleIds = new Set(filteredNotes.map(note => note.id));
+        this.selectedNoteIds.forEach(id => {
+            if (!visibleIds.has(id)) this.selectedNoteIds.delete(id);
+        });
+        this.updateBulkActionsBar();
+        
+        if (filteredNotes.length === 0) {
+            this.renderedNoteIds = [];
+            container.innerHTML = '';
+            this.updateEmptyState();
+            emptyState.classList.remove('hidden');
+            return;
+        }
+        
+        emptyState.classList.add('hidden');
+        
+        // Sort notes
+        filteredNotes = this.sortNotes(filteredNotes);
+        
+        this.renderedNoteIds = filteredNotes.map(note => note.id);
+        // The Tasks view lists each note's open items instead of its card
+        const showTasks = this.activeFilter === 'tasks';
+        container.innerHTML = filteredNotes
+            .map(note => showTasks ? this.createTaskGroup(note) : this.createNoteCard(note))
+            .join('');
+        container.classList.toggle('tasks-view', showTasks);
+        container.classList.toggle('selecting', this.bulkSelectMode);
+
+        container.querySelectorAll('[data-task-index]').forEach(checkbox => {
+            const noteId = checkbox.closest('[data-note-id]').dataset.noteId;
+            checkbox.addEventListener('change', () => this.toggleNoteTask(noteId, Number(checkbox.dataset.taskIndex)));
+        });
+        
+        // Add event listeners to note cards
+        container.querySelectorAll('.note-card').forEach(card => {
+            const noteId = card.dataset.noteId;
+            
+            card.addEventListener('click', (e) => {
+                if (this.bulkSelectMode) {
+                    e.preventDefault();
+                    this.toggleNoteSelection(noteId, e.shiftKey);
+                } else if (!e.target.closest('.note-action, .note-task')) {
+                    this.editNote(noteId);
+                }
+            });
+
+            // Cards can be dropped on a notebook in the sidebar; a selected
+            // card brings the rest of the selection along
+            card.addEventListener('dragstart', (e) => {
+                const noteIds = this.selectedNoteIds.has(noteId) ? Array.from(this.selectedNoteIds) : [noteId];
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData(NOTE_DRAG_TYPE, JSON.stringify(noteIds));
+            });
+        });
+        
+        // Initialize icons
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        // Update masonry layout after render
+        setTimeout(() => this.updateMasonryLayout(), 50);
+    }
+
+    getFilteredNotes() {
+        const { notes, scores, highlight } = this.filterNotes(this.getCurrentView());
+        this.searchScores = scores;
+        this.searchHighlight = highlight;
+        return notes;
+    }
+
+    getCurrentView() {
+        return {
+            filter: this.activeFilter,
+            categories: [...this.activeCategories],
+            tags: [...this.activeTags],
+            tagMode: this.tagMatchMode,
+            query: this.searchQuery
+        };
+    }
+
+    // Applies a view ({ filter, categories, tags, tagMode, query }) to the notes.
+    // Returns the matches plus their search scores and the highlight pattern.
+    filterNotes(view) {
+        // Trashed notes only ever show up in the Trash view
+        let filtered = view.filter === 'trash' ? this.getTrashedNotes() : this.getActiveNotes();
+        
+        // Apply search query (see SearchQuery for the syntax)
+        const search = SearchQuery.parse(view.query);
+        const scores = new Map();
+        let highlight = null;
+        if (search.length > 0) {
+            // Quoted phrases and exclusions only match as written; other words
+            // also go through the index for prefix and typo matches
+            const textHits = new Map();
+            const highlights = new Set();
+            search.flat().filter(term => term.field === 'text' && !term.negate).forEach(term => {
+                highlights.add(term.value.toLowerCase());
+                if (term.raw.includes('"')) return;
+                textHits.set(term, this.searchIndex.search(term.value));
+                this.searchIndex.matchingTerms(term.value).forEach(word => highlights.add(word));
+            });
+
+            filtered = filtered.filter(note => SearchQuery.matches(search, note, this.categories, textHits));
+            filtered.forEach(note => {
+                let score = 0;
+                textHits.forEach(hits => {
+                    score += hits.get(note.id) || 0;
+                });
+                scores.set(note.id, score);
+            });
+
+            if (highlights.size > 0) {
+                const words = Array.from(highlights)
+                    .sort((a, b) => b.length - a.length)
+                    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+                highlight = new RegExp(`(${words.join('|')})`, 'giu');
+            }
+        }
+        
+        // Apply category/tag/special filters
+        switch (view.filter) {
+            case 'pinned':
+                filtered = filtered.filter(note => note.isPinned);
+                break;
+            case 'favorites':
+                filtered = filtered.filter(note => note.isFavorite);
+                break;
+            case 'trash':
+                // Already narrowed to trashed notes above
+                break;
+            case 'recent':
+                filtered = filtered.filter(note => {
+                    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+                    return new Date(note.modifiedAt) > dayAgo;
+                });
+                break;
+            case 'tasks':
+                filtered = filtered.filter(note => this.getNoteTasks(note).some(task => !task.checked));
+                break;
+            case 'upcoming':
+            case 'overdue': {
+                const now = Date.now();
+                filtered = filtered.filter(note => this.getNoteDueState(note, now) === view.filter);
+                break;
+            }
+        }
+        
+        // Category and tag selections narrow whichever view is active
+        if (view.categories.length > 0) {
+            // A notebook includes everything in its sub-notebooks
+            const scope = new Set(view.categories.flatMap(id => this.getNotebookSubtree(id)));
+            filtered = filtered.filter(note => scope.has(note.category));
+        }
+        if (view.tags.length > 0) {
+            filtered = filtered.filter(note => view.tagMode === 'all'
+                ? view.tags.every(tag => note.tags.some(t => SearchQuery.matchesTag(t, tag)))
+                : view.tags.some(tag => note.tags.some(t => SearchQuery.matchesTag(t, tag))));
+        }
+        
+        return { notes: filtered, scores, highlight };
+    }
+
+    sortNotes(notes) {
+        return notes.sort((a, b) => {
+            switch (this.sortBy) {
+                case 'dateCreated':
+                    return new Date(b.createdAt) - new Date(a.createdAt);
+                case 'dateModified':
+                    return new Date(b.modifiedAt) - new Date(a.modifiedAt);
+                case 'title':
+                    return a.title.localeCompare(b.title);
+                case 'category':
+                    return this.getNotebookPathName(a.category).localeCompare(this.getNotebookPathName(b.category));
+                case 'color':
+                    // Palette order, untinted notes last, newest first within a color
+                    return this.getNoteColorRank(a) - this.getNoteColorRank(b) ||
+                        new Date(b.modifiedAt) - new Date(a.modifiedAt);
+                case 'dueDate':
+                    // Soonest first; notes without a due date go last
+                    return (a.dueAt ? new Date(a.dueAt) : Infinity) - (b.dueAt ? new Date(b.dueAt) : Infinity) ||
+                        new Date(b.modifiedAt) - new Date(a.modifiedAt);
+                case 'relevance':
+                    // Without a search every score is 0, so this falls back to newest first
+                    return (this.searchScores.get(b.id) || 0) - (this.searchScores.get(a.id) || 0) ||
+                        new Date(b.modifiedAt) - new Date(a.modifiedAt);
+                default:
+                    return new Date(b.modifiedAt) - new Date(a.modifiedAt);
+            }
+        });
+    }
+
+    createNoteCard(note) {
+        const category = this.categories.find(c => c.id === note.category);
+        const preview = this.getSearchSnippet(this.stripHtml(note.content));
+        const color = this.getNoteColor(note);
+        const dueState = this.getNoteDueState(note);
+        const tasks = this.getNoteTasks(note);
+        
+        return `
+            <div class="note-card ${note.isPinned ? 'pinned' : ''} ${note.deletedAt ? 'trashed' : ''} ${this.selectedNoteIds.has(note.id) ? 'selected' : ''} ${color ? 'tinted' : ''}" data-note-id="${note.id}" draggable="${note.deletedAt ? 'false' : 'true'}"${color ? ` style="--note-color: ${color}"` : ''}>
+                ${this.bulkSelectMode ? `
+                    <input type="checkbox" class="note-select" aria-label="Select note" ${this.selectedNoteIds.has(note.id) ? 'checked' : ''}>
+                ` : ''}
+                <div class="note-header">
+                    <h3 class="note-title">${this.highlightMatches(note.title)}</h3>
+                    ${this.bulkSelectMode ? '' : note.deletedAt ? `
+                    <div class="note-actions">
+                        <button class="note-action" 
+                                onclick="app.restoreNoteFromTrash('${note.id}')" 
+                                title="Restore">
+                            <i data-lucide="rotate-ccw" width="16" height="16"></i>
+                        </button>
+                        <button class="note-action" 
+                                onclick="app.deleteNoteForever('${note.id}')" 
+                                title="Delete forever">
+                            <i data-lucide="trash-2" width="16" height="16"></i>
+                        </button>
+                    </div>
+                    ` : `
+                    <div class="note-actions">
+                        <button class="note-action ${note.isPinned ? 'active' : ''}" 
+                                onclick="app.toggleNotePinned('${note.id}')" 
+                                title="Pin note">
+                            <i data-lucide="pin" width="16" height="16"></i>
+                        </button>
+                        <button class="note-action ${note.isFavorite ? 'active' : ''}" 
+                                onclick="app.toggleNoteFavorite('${note.id}')" 
+                                title="Favorite">
+                            <i data-lucide="heart" width="16" height="16"></i>
+                        </button>
+                        <button class="note-action" 
+                                onclick="app.duplicateNote('${note.id}')" 
+                                title="Duplicate">
+                            <i data-lucide="copy" width="16" height="16"></i>
+                        </button>
+                    </div>
+                    `}
+                </div>
+                
+                <div class="note-content">${this.highlightMatches(preview)}</div>
+                ${tasks.length > 0 ? this.createCardTasks(note, tasks) : ''}
+                
+                <div class="note-footer">
+                    <div class="note-metadata">
+                        ${category ? `
+                            <span class="note-category" title="${this.escapeHtml(this.getNotebookPathName(category.id))}">
+                                <span class="category-color" style="background-color: ${category.color}"></span>
+                                ${category.name}
+                            </span>
+                        ` : ''}
+                        ${dueState ? `
+                            <span class="note-due ${dueState}" title="${new Date(note.dueAt).toLocaleString()}">
+                                <i data-lucide="${dueState === 'overdue' ? 'bell-ring' : 'bell'}"></i>
+                                ${this.formatDueDate(note.dueAt)}
+                            </span>
+                        ` : ''}
+                        ${note.tags.length > 0 ? `
+                            <div class="note-tags">
+                                ${note.tags.slice(0, 5).map(tag => `<span class="note-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                                ${note.tags.length > 5 ? `<span class="note-tag">+${note.tags.length - 5}</span>` : ''}
+                            </div>
+                        ` : ''}
+                    </div>
+                    ${note.deletedAt ? `
+                    <span class="note-date" title="${new Date(note.deletedAt).toLocaleString()}">
+                        Deleted ${this.formatDate(note.deletedAt).toLowerCase()}
+                    </span>
+                    ` : `
+                    <span class="note-date" title="${new Date(note.modifiedAt).toLocaleString()}">
+                        ${this.formatDate(note.modifiedAt)}
+                    </span>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+
+    // ===== MODAL MANAGEMENT =====
+    showNoteModal(note) {
+        const modal = document.getElementById('note-modal');
+        const titleInput = document.getElementById('note-title-input');
+        
+        if (!modal || !titleInput) return;
+        
+        titleInput.value = note.title;
+        
+        // Update editor content
+        if (this.quillEditor) {
+            this.hideWikiLinkSuggestions();
+            this.quillEditor.root.innerHTML = note.content;
+            this.formatWikiLinks();
+        }
+        this.linkedTitle = this.notes.some(n => n.id === note.id) ? note.title : null;
+        this.renderBacklinks(note);
+        
+        // Update metadata
+        const createdEl = document.getElementById('note-created');
+        const modifiedEl = document.getElementById('note-modified');
+        
+        if (createdEl) {
+            createdEl.textContent = `Created: ${this.formatDate(note.createdAt)}`;
+        }
+        if (modifiedEl) {
+            modifiedEl.textContent = `Modified: ${this.formatDate(note.modifiedAt)}`;
+        }
+        
+        this.updateWordCount();
+        this.updateCategoryDisplay(note.category);
+        this.updateTagsDisplay(note.tags);
+        this.updateNoteColorDisplay(note);
+        this.updateDueDisplay(note);
+        this.updateNoteModalActions(note);
+        
+        modal.classList.remove('hidden');
+        titleInput.focus();
+        this.updateRoute({ push: true });
+        
+        // Initialize icons
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    // Trashed notes get Restore / Delete Forever instead of Delete
+    updateNoteModalActions(note) {
+        const restoreBtn = document.getElementById('restore-note');
+        const deleteLabel = document.getElementById('delete-note-label');
+
+        if (restoreBtn) restoreBtn.classList.toggle('hidden', !note.deletedAt);
+        if (deleteLabel) deleteLabel.textContent = note.deletedAt ? 'Delete Forever' : 'Delete';
+    }
+
+    // FIXED: Category selection functionality
+    updateCategoryDisplay(categoryId) {
+        const currentCategoryEl = document.getElementById('current-category');
+        if (!currentCategoryEl) return;
+        
+        if (categoryId) {
+            const category = this.categories.find(c => c.id === categoryId);
+            if (category) {
+                currentCategoryEl.textContent = category.name;
+            } else {
+                currentCategoryEl.textContent = 'No Notebook';
+            }
+        } else {
+            currentCategoryEl.textContent = 'No Notebook';
+        }
+        this.renderNoteBreadcrumbs(categoryId);
+    }
+
+    // Notebook path above the editor; each crumb opens that notebook
+    renderNoteBreadcrumbs(categoryId) {
+        const breadcrumbs = document.getElementById('note-breadcrumbs');
+        if (!breadcrumbs) return;
+
+        const path = this.getNotebookPath(categoryId);
+        breadcrumbs.innerHTML = path.map(category => `
+            <button type="button" class="breadcrumb-item" onclick="app.openNotebook('${category.id}')">
+                <span class="category-color" style="background-color: ${category.color}"></span>
+                ${this.escapeHtml(category.name)}
+            </button>
+        `).join('<i data-lucide="chevron-right" class="breadcrumb-separator"></i>');
+        breadcrumbs.classList.toggle('hidden', path.length === 0);
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    // Leaves the open note for the notes list scoped to one notebook
+    openNotebook(categoryId) {
+        this.keepCurrentNoteEdits();
+        this.closeNoteModal();
+        this.setFilterView({ filter: 'all', categories: [categoryId], tagMode: this.tagMatchMode });
+    }
+
+    // FIXED: Tags display functionality
+    updateTagsDisplay(tags) {
+        const currentTagsEl = document.getElementById('current-tags');
+        if (!currentTagsEl) return;
+        
+        if (tags && tags.length > 0) {
+            currentTagsEl.textContent = `${tags.length} tag${tags.length === 1 ? '' : 's'}`;
+        } else {
+            currentTagsEl.textContent = 'No tags';
+        }
+    }
+
+    // ===== NOTE COLORS =====
+    // The tint for a note's card, or null for the default white. Colors come
+    // from imports too, so anything that isn't #rrggbb is treated as default.
+    getNoteColor(note) {
+        const color = (note.color || '').toLowerCase();
+        return /^#[0-9a-f]{6}$/.test(color) && color !== NOTE_DEFAULT_COLOR ? color : null;
+    }
+
+    getNoteColorRank(note) {
+        const color = this.getNoteColor(note);
+        if (!color) return NOTE_COLORS.length + 1;
+        const index = NOTE_COLORS.findIndex(c => c.value === color);
+        return index >= 0 ? index : NOTE_COLORS.length;
+    }
+
+    updateNoteColorDisplay(note) {
+        const swatch = document.getElementById('current-note-color');
+        const picker = document.getElementById('note-color-picker');
+        const color = this.getNoteColor(note);
+
+        if (swatch) {
+            swatch.style.backgroundColor = color || '';
+            swatch.classList.toggle('none', !color);
+        }
+        this.selectColorOption(color || NOTE_DEFAULT_COLOR, picker);
+        this.toggleNoteColorMenu(false);
+    }
+
+    toggleNoteColorMenu(open) {
+        const menu = document.getElementById('note-color-menu');
+        if (menu) {
+            menu.classList.toggle('hidden', open === undefined ? !menu.classList.contains('hidden') : !open);
+        }
+    }
+
+    // Like the notebook, the color is kept when the note is saved
+    selectNoteColor(color) {
+        if (!this.currentNote) return;
+        this.currentNote.color = color;
+        this.updateNoteColorDisplay(this.currentNote);
+    }
+
+    // Narrows the search to one color; picking the active color clears it
+    filterByColor(name) {
+        const search = SearchQuery.parse(this.searchQuery);
+        const active = search.length > 0 && search.every(group =>
+            group.some(term => term.field === 'color' && !term.negate && term.value.toLowerCase() === name));
+        const groups = search.map(group => group.filter(term => term.field !== 'color'));
+
+        if (!active) {
+            const term = SearchQuery.parse(`color:${name}`)[0][0];
+            if (groups.length === 0) groups.push([]);
+            groups.forEach(group => group.push(term));
+        }
+
+        const query = SearchQuery.stringify(groups.filter(group => group.length > 0));
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = query;
+        this.handleSearch(query);
+        this.toggleColorFilterMenu(false);
+    }
+
+    toggleColorFilterMenu(open) {
+        const menu = document.getElementById('color-filter-menu');
+        if (menu) {
+            menu.classList.toggle('hidden', open === undefined ? !menu.classList.contains('hidden') : !open);
+        }
+    }
+
+    // ===== CHECKLISTS =====
+    getNoteTasks(note) {
+        if (!note.content || !note.content.includes('data-checked')) return [];
+
+        const template = document.createElement('template');
+        template.innerHTML = note.content;
+        return Array.from(template.content.querySelectorAll(CHECKLIST_ITEM_SELECTOR)).map((item, index) => ({
+            index,
+            text: item.textContent.trim(),
+            checked: item.parentNode.getAttribute('data-checked') === 'true'
+        }));
+    }
+
+    createTaskCheckbox(note, task) {
+        // Trashed notes are read-only, and in bulk mode a click selects the card
+        const disabled = note.deletedAt || this.bulkSelectMode;
+        return `
+            <label class="note-task ${task.checked ? 'checked' : ''}">
+                <input type="checkbox" data-task-index="${task.index}" ${task.checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                <span>${this.highlightMatches(task.text) || '&nbsp;'}</span>
+            </label>
+        `;
+    }
+
+    createCardTasks(note, tasks) {
+        const done = tasks.filter(task => task.checked).length;
+        const hidden = tasks.length - CARD_TASK_LIMIT;
+        return `
+            <div class="note-tasks">
+                ${tasks.slice(0, CARD_TASK_LIMIT).map(task => this.createTaskCheckbox(note, task)).join('')}
+                ${hidden > 0 ? `<span class="note-tasks-more">+${hidden} more</span>` : ''}
+                <div class="note-task-progress" title="${done} of ${tasks.length} items done">
+                    <div class="note-task-bar"><span style="width: ${Math.round(done / tasks.length * 100)}%"></span></div>
+                    <span>${done}/${tasks.length} done</span>
+                </div>
+            </div>
+        `;
+    }
+
+    // Tasks view: a note's open items under a link to the note
+    createTaskGroup(note) {
+        const category = this.categories.find(c => c.id === note.category);
+        const open = this.getNoteTasks(note).filter(task => !task.checked);
+        return `
+            <section class="task-group" data-note-id="${note.id}">
+                <button type="button" class="task-group-source" onclick="app.editNote('${note.id}')" title="Open note">
+                    <i data-lucide="file-text"></i>
+                    <span class="task-group-title">${this.highlightMatches(note.title || 'Untitled')}</span>
+                    ${category ? `
+                        <span class="note-category">
+                            <span class="category-color" style="background-color: ${category.color}"></span>
+                            ${this.escapeHtml(this.getNotebookPathName(category.id))}
+                        </span>
+                    ` : ''}
+                </button>
+                <div class="task-group-items">
+                    ${open.map(task => this.createTaskCheckbox(note, task)).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    // Flips one item in the stored HTML. The item moves into a list of its
+    // own (splitting the one it was in), the way Quill keeps checklists.
+    toggleNoteTask(noteId, index) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (!note || note.deletedAt) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = note.content;
+        const item = template.content.querySelectorAll(CHECKLIST_ITEM_SELECTOR)[index];
+        if (!item) return;
+
+        const list = item.parentNode;
+        const checked = list.getAttribute('data-checked') !== 'true';
+        const following = Array.from(list.children).slice(Array.from(list.children).indexOf(item) + 1);
+        if (following.length > 0) {
+            const rest = list.cloneNode(false);
+            following.forEach(child => rest.appendChild(child));
+            list.after(rest);
+        }
+        const single = list.cloneNode(false);
+        single.setAttribute('data-checked', checked ? 'true' : 'false');
+        single.appendChild(item);
+        list.after(single);
+        if (list.children.length === 0) list.remove();
+
+        note.content = template.innerHTML;
+        note.modifiedAt = new Date().toISOString();
+        this.recordNoteVersion(note);
+        this.saveUserData();
+        this.renderNotes();
+    }
+
+    // ===== REMINDERS =====
+    // A note with a due date is "upcoming" until then and "overdue" after
+    getNoteDueState(note, now = Date.now()) {
+        if (!note.dueAt || note.deletedAt) return null;
+        return new Date(note.dueAt).getTime() > now ? 'upcoming' : 'overdue';
+    }
+
+    formatDueDate(dateString) {
+        const date = new Date(dateString);
+        const today = new Date();
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        if (date.toDateString() === today.toDateString()) return `Today ${time}`;
+        if (date.toDateString() === tomorrow.toDateString()) return `Tomorrow ${time}`;
+        return `${date.toLocaleDateString()} ${time}`;
+    }
+
+    // datetime-local inputs want local time without a zone
+    toDateTimeInputValue(dateString) {
+        const date = new Date(dateString);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    updateDueDisplay(note) {
+        const label = document.getElementById('current-due');
+        const button = document.getElementById('note-due-btn');
+        const input = document.getElementById('note-due-input');
+        const clearBtn = document.getElementById('clear-note-due');
+        const state = this.getNoteDueState(note);
+
+        if (label) label.textContent = note.dueAt ? this.formatDueDate(note.dueAt) : 'Remind me';
+        if (button) button.classList.toggle('overdue', state === 'overdue');
+        if (input) input.value = note.dueAt ? this.toDateTimeInputValue(note.dueAt) : '';
+        if (clearBtn) clearBtn.classList.toggle('hidden', !note.dueAt);
+        this.toggleDueMenu(false);
+    }
+
+    toggleDueMenu(open) {
+        const menu = document.getElementById('note-due-menu');
+        if (menu) {
+            menu.classList.toggle('hidden', open === undefined ? !menu.classList.contains('hidden') : !open);
+        }
+    }
+
+    // Like the notebook, the due date is kept when the note is saved
+    setNoteDue(value) {
+        if (!this.currentNote) return;
+
+        const date = value ? new Date(value) : null;
+        if (date && isNaN(date)) {
+            this.showToast('Pick a valid date and time', 'error');
+            return;
+        }
+
+        this.currentNote.dueAt = date ? date.toISOString() : null;
+        this.currentNote.remindedAt = null;
+        this.updateDueDisplay(this.currentNote);
+        if (date) this.requestNotificationPermission();
+    }
+
+    // Asked for when a reminder is set, so the prompt follows a click
+    async requestNotificationPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                this.showToast('Reminders will only show while Private Vault is open', 'info');
+            }
+            this.reminderScheduleJson = null;
+            this.scheduleReminders();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+        }
+    }
+
+    // Shows reminders that are due, then sleeps until the next one
+    scheduleReminders() {
+        clearTimeout(this.reminderTimeout);
+        if (!this.currentUser || !this.vaultKey || !this.remindersReady) return;
+
+        const now = Date.now();
+        const pending = this.getActiveNotes().filter(note => note.dueAt && !note.remindedAt);
+        const due = pending.filter(note => new Date(note.dueAt).getTime() <= now);
+
+        if (due.length > 0) {
+            const remindedAt = new Date(now).toISOString();
+            due.forEach(note => {
+                note.remindedAt = remindedAt;
+                // The open copy would otherwise undo this when it is saved
+                if (this.currentNote && this.currentNote.id === note.id && this.currentNote.dueAt === note.dueAt) {
+                    this.currentNote.remindedAt = remindedAt;
+                }
+                this.showReminder(note);
+            });
+            this.saveUserData(); // reschedules
+            this.renderNotes();
+            return;
+        }
+
+        this.writeReminderSchedule(pending);
+
+        const next = Math.min(...pending.map(note => new Date(note.dueAt).getTime()));
+        if (next !== Infinity) {
+            this.reminderTimeout = setTimeout(() => this.scheduleReminders(), Math.min(next - now, REMINDER_MAX_DELAY));
+        }
+    }
+
+    async showReminder(note) {
+        const title = note.title || 'Untitled';
+
+        if (document.visibilityState === 'visible') {
+            this.showToast(`Reminder: ${title}`, 'info', 6000);
+        }
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const options = {
+            body: `Due ${this.formatDueDate(note.dueAt).toLowerCase()}`,
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-192.png',
+            tag: `reminder-${note.id}`,
+            data: { url: `/#/all?note=${encodeURIComponent(note.id)}`, noteId: note.id }
+        };
+
+        try {
+            // Shown by the service worker, its notificationclick opens the note
+            const registration = 'serviceWorker' in navigator
+                ? await navigator.serviceWorker.getRegistration()
+                : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                this.openReminderNote(note.id);
+            };
+        } catch (error) {
+            console.warn('Could not show reminder notification:', error);
+        }
+    }
+
+    openReminderNote(noteId) {
+        if (!this.currentUser || !this.vaultKey) {
+            // restoreRoute() opens it after sign-in
+            history.replaceState(null, '', `#/all?note=${encodeURIComponent(noteId)}`);
+            this.showAuthMessage('Sign in to open the note you were reminded about.', 'success');
+            return;
+        }
+        if (!this.notes.some(note => note.id === noteId)) {
+            this.showToast('That note no longer exists', 'error');
+            return;
+        }
+
+        if (this.currentNote && this.isNoteModalOpen()) {
+            if (this.currentNote.id === noteId) return;
+            this.keepCurrentNoteEdits();
+            this.closeNoteModal();
+        }
+        this.editNote(noteId);
+    }
+
+    getReminderCacheKey() {
+        return `/reminders/${encodeURIComponent(this.currentUser)}`;
+    }
+
+    // Hands the service worker what it needs to remind while the app is
+    // closed; only rewritten when the schedule changes
+    async writeReminderSchedule(pending) {
+        const reminders = pending.map(note => ({ noteId: note.id, dueAt: note.dueAt }));
+        const json = JSON.stringify({ reminders, shown: [] });
+        if (json === this.reminderScheduleJson || !('caches' in window)) return;
+        this.reminderScheduleJson = json;
+
+        try {
+            const cache = await caches.open(REMINDER_CACHE);
+            if (reminders.length > 0) {
+                await cache.put(this.getReminderCacheKey(), new Response(json, {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+            } else {
+                await cache.delete(this.getReminderCacheKey());
+            }
+            await this.registerReminderSync(reminders.length > 0);
+        } catch (error) {
+            console.warn('Could not store the reminder schedule:', error);
+        }
+    }
+
+    // Periodic background sync is only offered to installed apps in some
+    // browsers; elsewhere reminders wait for the app to be opened
+    async registerReminderSync(enabled) {
+        if (!('serviceWorker' in navigator)) return;
+
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !('periodicSync' in registration)) return;
+
+        if (!enabled) {
+            await registration.periodicSync.unregister(REMINDER_SYNC_TAG);
+            return;
+        }
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state === 'granted') {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL });
+        }
+    }
+
+    // Reminders the service worker showed while the app was closed count as
+    // done, so signing in doesn't repeat them
+    async startReminders() {
+        let shownWhileAway = false;
+        if ('caches' in window) {
+            try {
+                const cache = await caches.open(REMINDER_CACHE);
+                const response = await cache.match(this.getReminderCacheKey());
+                const schedule = response ? await response.json() : {};
+                (Array.isArray(schedule.shown) ? schedule.shown : []).forEach(shown => {
+                    const note = this.notes.find(n => n.id === shown.noteId);
+                    if (note && note.dueAt === shown.dueAt && !note.remindedAt) {
+                        note.remindedAt = shown.shownAt || new Date().toISOString();
+                        shownWhileAway = true;
+                    }
+                });
+            } catch (error) {
+                console.warn('Could not read the reminder schedule:', error);
+            }
+        }
+
+        this.remindersReady = true;
+        this.reminderScheduleJson = null;
+        if (shownWhileAway) {
+            this.saveUserData(); // reschedules
+        } else {
+            this.scheduleReminders();
+        }
+    }
+
+    showCategorySelectModal() {
+        const modal = document.getElementById('category-select-modal');
+        const listContainer = document.getElementById('category-select-list');
+        
+        if (!modal || !listContainer) return;
+        
+        // Build notebook selection list, indented like the sidebar tree
+        let html = `
+            <div class="category-select-item no-category ${!this.currentNote.category ? 'active' : ''}" 
+                 onclick="app.selectNoteCategory(null)">
+                <span>No Notebook</span>
+            </div>
+        `;
+        
+        this.getNotebookOptions().forEach(({ category, depth }) => {
+            html += `
+                <div class="category-select-item ${this.currentNote.category === category.id ? 'active' : ''}" 
+                     style="--notebook-depth: ${depth}"
+                     onclick="app.selectNoteCategory('${category.id}')">
+                    <span class="category-color" style="background-color: ${category.color}"></span>
+                    <span>${this.escapeHtml(category.name)}</span>
+                </div>
+            `;
+        });
+        
+        listContainer.innerHTML = html;
+        modal.classList.remove('hidden');
+    }
+
+    selectNoteCategory(categoryId) {
+        if (this.currentNote) {
+            this.currentNote.category = categoryId;
+            this.updateCategoryDisplay(categoryId);
+        }
+        this.closeCategorySelectModal();
+    }
+
+    closeCategorySelectModal() {
+        const modal = document.getElementById('category-select-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // ===== COMPLETE TAGS MANAGEMENT SYSTEM =====
+    
+    // Extract all unique tags from notes
+    extractAllTags() {
+        this.allTags.clear();
+        this.notes.forEach(note => {
+            if (note.tags && Array.isArray(note.tags)) {
+                note.tags.forEach(tag => this.allTags.add(tag));
+            }
+        });
+        
+        // Also add any standalone tags
+        if (this.tags && Array.isArray(this.tags)) {
+            this.tags.forEach(tag => this.allTags.add(tag));
+        }
+    }
+
+    // Show tags management modal for current note
+    showTagsModal() {
+        if (!this.currentNote) return;
+        
+        const modal = document.getElementById('tags-modal');
+        const tagInput = document.getElementById('tag-input');
+        
+        if (!modal || !tagInput) return;
+        
+        // Clear input
+        tagInput.value = '';
+        
+        // Update displays
+        this.updateCurrentTagsDisplay();
+        this.updateAvailableTagsDisplay();
+        
+        modal.classList.remove('hidden');
+        tagInput.focus();
+    }
+
+    // Update current note tags display
+    updateCurrentTagsDisplay() {
+        const container = document.getElementById('current-tags-display');
+        if (!container || !this.currentNote) return;
+        
+        container.innerHTML = '';
+        
+        if (this.currentNote.tags && this.currentNote.tags.length > 0) {
+            this.currentNote.tags.forEach(tag => {
+                const tagChip = this.createTagChip(tag, true, () => this.removeTagFromNote(tag));
+                container.appendChild(tagChip);
+            });
+        } else {
+            container.innerHTML = '<span style="color: var(--text-muted); font-style: italic;">No tags added</span>';
+        }
+    }
+
+    // Update available tags display
+    updateAvailableTagsDisplay() {
+        const container = document.getElementById('available-tags-display');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const availableTags = Array.from(this.allTags).filter(tag => 
+            !this.currentNote.tags || !this.currentNote.tags.includes(tag)
+        );
+        
+        if (availableTags.length > 0) {
+            availableTags.forEach(tag => {
+                const tagChip = this.createTagChip(tag, false, () => this.addTagToNote(tag));
+                container.appendChild(tagChip);
+            });
+        } else {
+            container.innerHTML = '<span style="color: var(--text-muted); font-style: italic;">No available tags</span>';
+        }
+    }
+
+    // Create a tag chip element
+    createTagChip(tag, removable = false, onClick = null) {
+        const chip = document.createElement('div');
+        chip.className = `tag-chip ${removable ? 'removable' : 'available'}`;
+        
+        if (removable) {
+            chip.innerHTML = `
+                <span>${this.escapeHtml(tag)}</span>
+                <span class="tag-remove">×</span>
+            `;
+        } else {
+            chip.innerHTML = `<span>${this.escapeHtml(tag)}</span>`;
+        }
+        
+        if (onClick) {
+            chip.addEventListener('click', onClick);
+        }
+        
+        return chip;
+    }
+
+    // Normalizes typed tag text ("#project / alpha/" -> "project/alpha").
+    // Returns { tag } or { error } with a message for the toast.
+    parseTag(input) {
+        const segments = String(input || '').trim().replace(/^#/, '')
+            .split(TAG_SEPARATOR)
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0);
+        
+        if (segments.length === 0) return { error: 'Tag name is required' };
+        if (segments.length > TAG_MAX_DEPTH) {
+            return { error: `Tags can be nested at most ${TAG_MAX_DEPTH} levels deep` };
+        }
+        const tooLong = segments.find(segment => segment.length > TAG_SEGMENT_MAX_LENGTH);
+        if (tooLong) {
+            return { error: `"${tooLong}" is too long (max ${TAG_SEGMENT_MAX_LENGTH} characters per level)` };
+        }
+        return { tag: segments.join(TAG_SEPARATOR) };
+    }
+
+    // Add tag from input field
+    addTagFromInput() {
+        const tagInput = document.getElementById('tag-input');
+        if (!tagInput) return;
+        
+        const input = tagInput.value.trim();
+        if (!input) return;
+        
+        // Split by comma and add each tag
+        const tags = input.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        
+        tags.forEach(input => {
+            const { tag, error } = this.parseTag(input);
+            if (error) {
+                this.showToast(error, 'error');
+                return;
+            }
+            this.addTagToNote(tag);
+        });
+        
+        tagInput.value = '';
+    }
+
+    // Add tag to current note
+    addTagToNote(tag) {
+        if (!this.currentNote) return;
+        
+        if (!this.currentNote.tags) {
+            this.currentNote.tags = [];
+        }
+        
+        if (!this.currentNote.tags.includes(tag)) {
+            this.currentNote.tags.push(tag);
+            this.allTags.add(tag);
+            this.updateCurrentTagsDisplay();
+            this.updateAvailableTagsDisplay();
+        }
+    }
+
+    // Remove tag from current note
+    removeTagFromNote(tag) {
+        if (!this.currentNote || !this.currentNote.tags) return;
+        
+        this.currentNote.tags = this.currentNote.tags.filter(t => t !== tag);
+        this.updateCurrentTagsDisplay();
+        this.updateAvailableTagsDisplay();
+    }
+
+    // Save tags and close modal
+    saveTags() {
+        this.updateTagsDisplay(this.currentNote.tags);
+        this.closeTagsModal();
+        this.showToast('Tags updated', 'success');
+    }
+
+    // Close tags modal
+    closeTagsModal() {
+        const modal = document.getElementById('tags-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Show create tag modal
+    showCreateTagModal() {
+        const modal = document.getElementById('create-tag-modal');
+        const input = document.getElementById('new-tag-input');
+        
+        if (!modal || !input) return;
+        
+        input.value = '';
+        modal.classList.remove('hidden');
+        input.focus();
+    }
+
+    // Save new tag
+    saveCreateTag() {
+        const input = document.getElementById('new-tag-input');
+        if (!input) return;
+        
+        const { tag: tagName, error } = this.parseTag(input.value);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+        
+        if (this.allTags.has(tagName)) {
+            this.showToast('Tag already exists', 'error');
+            return;
+        }
+        
+        this.allTags.add(tagName);
+        this.saveUserData();
+        this.renderTags();
+        this.closeCreateTagModal();
+        this.showToast('Tag created', 'success');
+    }
+
+    // Close create tag modal
+    closeCreateTagModal() {
+        const modal = document.getElementById('create-tag-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    closeNoteModal() {
+        const modal = document.getElementById('note-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+        this.hideHistoryPanel();
+        this.currentNote = null;
+        this.updateRoute();
+        this.showNextSharedItem();
+    }
+
+    closeAllModals() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.classList.add('hidden');
+        });
+        this.closeBackupPassphraseModal();
+        this.pendingImport = null;
+        this.hideHistoryPanel();
+        this.currentNote = null;
+        this.updateRoute();
+    }
+
+    // ===== VERSION HISTORY =====
+    // Snapshots are written on the same queue as saveUserData(), and skipped
+    // when nothing visible changed since the newest stored version.
+    recordNoteVersion(note) {
+        if (!this.currentUser || !this.vaultKey) return this.pendingSave;
+
+        const owner = this.currentUser;
+        const vaultKey = this.vaultKey;
+        const noteId = note.id;
+        const savedAt = note.modifiedAt;
+        const snapshot = {
+            title: note.title,
+            content: note.content,
+            plainText: note.plainText
+        };
+
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                const latest = await this.storage.getLatestNoteVersion(owner, noteId);
+                if (latest) {
+                    const previous = await this.decryptVault(latest, vaultKey);
+                    if (previous.title === snapshot.title && previous.content === snapshot.content) return;
+                }
+
+                await this.storage.addNoteVersion({
+                    owner: owner,
+                    noteId: noteId,
+                    savedAt: savedAt,
+                    ...await this.encryptVault(snapshot, vaultKey)
+                });
+
+                const savedAts = await this.storage.getNoteVersionTimestamps(owner, noteId);
+                const prunable = this.getPrunableVersions(savedAts);
+                if (prunable.length > 0) {
+                    await this.storage.deleteNoteVersions(owner, noteId, prunable);
+                }
+            } catch (error) {
+                console.error('Error recording note version:', error);
+            }
+        });
+
+        return this.pendingSave;
+    }
+
+    getPrunableVersions(savedAts) {
+        const newestFirst = [...savedAts].sort().reverse();
+        const keep = new Set(newestFirst.slice(0, HISTORY_RECENT_VERSIONS));
+        const cutoff = Date.now() - HISTORY_DAILY_DAYS * 24 * 60 * 60 * 1000;
+        const keptDays = new Set();
+
+        newestFirst.slice(HISTORY_RECENT_VERSIONS).forEach(savedAt => {
+            const day = new Date(savedAt).toDateString();
+            if (new Date(savedAt).getTime() >= cutoff && !keptDays.has(day)) {
+                keptDays.add(day);
+                keep.add(savedAt);
+            }
+        });
+
+        const kept = newestFirst.filter(savedAt => keep.has(savedAt)).slice(0, HISTORY_MAX_VERSIONS);
+        return newestFirst.filter(savedAt => !kept.includes(savedAt));
+    }
+
+    async toggleHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        if (!panel || !this.currentNote) return;
+
+        if (panel.classList.contains('hidden')) {
+            await this.showHistoryPanel();
+        } else {
+            this.hideHistoryPanel();
+        }
+    }
+
+    async showHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        const editorBody = document.querySelector('#note-modal .modal-body');
+        const historyBtn = document.getElementById('note-history-btn');
+        if (!panel || !editorBody || !this.currentNote) return;
+
+        try {
+            // Make sure the latest save has its snapshot before listing
+            await this.pendingSave;
+            const records = await this.storage.getNoteVersions(this.currentUser, this.currentNote.id);
+            const versions = await Promise.all(records.map(async record => ({
+                savedAt: record.savedAt,
+                ...await this.decryptVault(record, this.vaultKey)
+            })));
+            this.noteVersions = versions.reverse();
+        } catch (error) {
+            console.error('Error loading note history:', error);
+            this.showToast('Could not load version history', 'error');
+            return;
+        }
+
+        this.renderHistoryList();
+        // The newest version usually matches the draft, so start one further back
+        const defaultVersion = this.noteVersions[1] || this.noteVersions[0];
+        this.populateHistorySelects(defaultVersion ? defaultVersion.savedAt : 'current');
+
+        editorBody.classList.add('hidden');
+        panel.classList.remove('hidden');
+        if (historyBtn) historyBtn.classList.add('active');
+    }
+
+    hideHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        const editorBody = document.querySelector('#note-modal .modal-body');
+        const historyBtn = document.getElementById('note-history-btn');
+
+        if (panel) panel.classList.add('hidden');
+        if (editorBody) editorBody.classList.remove('hidden');
+        if (historyBtn) historyBtn.classList.remove('active');
+        this.noteVersions = [];
+    }
+
+    renderHistoryList() {
+        const container = document.getElementById('history-list');
+        if (!container) return;
+
+        if (this.noteVersions.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No saved versions yet</p>';
+            return;
+        }
+
+        container.innerHTML = this.noteVersions.map(version => `
+            <div class="history-item" data-saved-at="${version.savedAt}">
+                <div class="history-item-info">
+                    <span class="history-item-date">${new Date(version.savedAt).toLocaleString()}</span>
+                    <span class="history-item-meta">${this.escapeHtml(version.title)} · ${this.getWordCount(version.plainText || '')} words</span>
+                </div>
+                <button class="btn btn-ghost btn-sm history-restore" title="Restore this version">
+                    <i data-lucide="rotate-ccw" width="16" height="16"></i>
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.history-item').forEach(item => {
+            const savedAt = item.dataset.savedAt;
+
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.history-restore')) {
+                    this.restoreNoteVersion(savedAt);
+                } else {
+                    this.populateHistorySelects(savedAt);
+                }
+            });
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    // Compares `fromValue` against the editor's current content by default
+    populateHistorySelects(fromValue, toValue = 'current') {
+        const fromSelect = document.getElementById('history-from');
+        const toSelect = document.getElementById('history-to');
+        if (!fromSelect || !toSelect) return;
+
+        const options = [
+            '<option value="current">Current draft</option>',
+            ...this.noteVersions.map(version =>
+                `<option value="${version.savedAt}">${new Date(version.savedAt).toLocaleString()}</option>`)
+        ].join('');
+
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = fromValue;
+        toSelect.value = toValue;
+
+        document.querySelectorAll('.history-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.savedAt === fromValue);
+        });
+
+        this.renderHistoryDiff();
+    }
+
+    getHistoryVersion(value) {
+        if (value === 'current') {
+            const titleInput = document.getElementById('note-title-input');
+            return {
+                title: titleInput ? titleInput.value.trim() : '',
+                plainText: this.quillEditor ? this.quillEditor.getText().trim() : ''
+            };
+        }
+        return this.noteVersions.find(version => version.savedAt === value);
+    }
+
+    renderHistoryDiff() {
+        const container = document.getElementById('history-diff');
+        const fromSelect = document.getElementById('history-from');
+        const toSelect = document.getElementById('history-to');
+        if (!container || !fromSelect || !toSelect) return;
+
+        const from = this.getHistoryVersion(fromSelect.value);
+        const to = this.getHistoryVersion(toSelect.value);
+        if (!from || !to) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const renderOps = ops => ops.map(op => {
+            const text = this.escapeHtml(op.text);
+            if (op.type === 'insert') return `<ins class="diff-insert">${text}</ins>`;
+            if (op.type === 'delete') return `<del class="diff-delete">${text}</del>`;
+            return `<span>${text}</span>`;
+        }).join('');
+
+        const bodyOps = this.diffText(from.plainText || '', to.plainText || '');
+        const hasChanges = from.title !== to.title || bodyOps.some(op => op.type !== 'equal');
+
+        container.innerHTML = hasChanges ? `
+            <div class="history-diff-title">${renderOps(this.diffText(from.title || '', to.title || ''))}</div>
+            <div class="history-diff-body">${renderOps(bodyOps)}</div>
+        ` : '<p style="color: var(--text-muted); font-style: italic;">No differences</p>';
+    }
+
+    // Word-level diff; very long texts fall back to lines to bound the work
+    diffText(a, b) {
+        const words = text => text.split(/(\s+)/).filter(token => token.length > 0);
+        const lines = text => text.split(/(\n)/).filter(token => token.length > 0);
+        let tokensA = words(a);
+        let tokensB = words(b);
+        if (tokensA.length + tokensB.length > HISTORY_DIFF_MAX_TOKENS) {
+            tokensA = lines(a);
+            tokensB = lines(b);
+        }
+        return this.diffTokens(tokensA, tokensB);
+    }
+
+    // Returns [{ type: 'equal' | 'insert' | 'delete', text }]
+    diffTokens(a, b) {
+        // Shared ends need no search, which keeps typical edits small
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let end = 0;
+        while (end < a.length - start && end < b.length - start &&
+            a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+        const middleA = a.slice(start, a.length - end);
+        const middleB = b.slice(start, b.length - end);
+        const middle = middleA.length + middleB.length > HISTORY_DIFF_MAX_TOKENS
+            ? [
+                ...middleA.map(text => ({ type: 'delete', text })),
+                ...middleB.map(text => ({ type: 'insert', text }))
+            ]
+            : this.shortestEdit(middleA, middleB);
+
+        const ops = [
+            ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+            ...middle,
+            ...a.slice(a.length - end).map(text => ({ type: 'equal', text }))
+        ];
+
+        // Merge runs of the same type for compact markup
+        return ops.reduce((merged, op) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === op.type) {
+                last.text += op.text;
+            } else {
+                merged.push({ ...op });
+            }
+            return merged;
+        }, []);
+    }
+
+    // Myers' O(ND) diff. Each step only keeps the diagonals -d..d it can
+    // reach, so the trace stays O(D^2) rather than O(D * (N + M)).
+    shortestEdit(a, b) {
+        const max = a.length + b.length;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+        let x;
+        let y;
+
+        outer:
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice(offset - d, offset + d + 1));
+            for (let k = -d; k <= d; k += 2) {
+                const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+                x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+                y = x - k;
+                while (x < a.length && y < b.length && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= a.length && y >= b.length) break outer;
+            }
+        }
+
+        const ops = [];
+        x = a.length;
+        y = b.length;
+        for (let d = trace.length - 1; d > 0; d--) {
+            // trace[d] holds diagonal k at index k + d
+            const prev = trace[d];
+            const k = x - y;
+            const down = k === -d || (k !== d && prev[k - 1 + d] < prev[k + 1 + d]);
+            const prevK = down ? k + 1 : k - 1;
+            const prevX = prev[prevK + d];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', text: a[--x] });
+                y--;
+            }
+            if (down) {
+                ops.push({ type: 'insert', text: b[--y] });
+            } else {
+                ops.push({ type: 'delete', text: a[--x] });
+            }
+        }
+        while (x > 0 && y > 0) {
+            ops.push({ type: 'equal', text: a[--x] });
+            y--;
+        }
+        return ops.reverse();
+    }
+
+    restoreNoteVersion(savedAt) {
+        const version = this.noteVersions.find(v => v.savedAt === savedAt);
+        const titleInput = document.getElementById('note-title-input');
+        if (!version || !this.currentNote || !titleInput || !this.quillEditor) return;
+
+        titleInput.value = version.title;
+        this.quillEditor.root.innerHTML = version.content;
+        this.updateWordCount();
+
+        // Saving records the restore as a new version, so it can be undone too
+        this.autoSaveCurrentNote();
+        this.hideHistoryPanel();
+        this.showToast('Version restored', 'success');
+    }
+
+    // ===== RICH TEXT EDITOR =====
+    initializeQuillEditor() {
+        const editorContainer = document.getElementById('note-editor');
+        if (!editorContainer || typeof Quill === 'undefined') {
+            console.warn('Quill editor not available, using fallback');
+            this.initializeFallbackEditor();
+            return;
+        }
+        
+        const toolbarOptions = [
+            ['bold', 'italic', 'underline', 'strike'],
+            ['blockquote', 'code-block'],
+            [{ 'header': 1 }, { 'header': 2 }],
+            [{ 'list': 'ordered'}, { 'list': 'bullet' }, { 'list': 'check' }],
+            [{ 'script': 'sub'}, { 'script': 'super' }],
+            [{ 'indent': '-1'}, { 'indent': '+1' }],
+            ['link'],
+            ['clean']
+        ];
+
+        try {
+            this.registerWikiLinkFormat();
+            this.quillEditor = new Quill('#note-editor', {
+                theme: 'snow',
+                modules: {
+                    toolbar: toolbarOptions
+                },
+                placeholder: 'Start writing your note...'
+            });
+
+            // Add event listeners
+            this.quillEditor.on('text-change', () => {
+                this.updateWordCount();
+                this.formatWikiLinks();
+                this.updateWikiLinkSuggestions();
+                this.scheduleAutoSave();
+            });
+            this.setupWikiLinkAutocomplete();
+        } catch (error) {
+            console.warn('Quill initialization failed, using fallback:', error);
+            this.initializeFallbackEditor();
+        }
+    }
+
+    // Fallback editor for offline use
+    initializeFallbackEditor() {
+        const editorContainer = document.getElementById('note-editor');
+        if (!editorContainer) return;
+        
+        editorContainer.innerHTML = `
+            <div style="border: 1px solid var(--border-color); border-radius: var(--border-radius);">
+                <div style="padding: 8px; border-bottom: 1px solid var(--border-color); background: var(--bg-secondary);">
+                    <button type="button" onclick="document.execCommand('bold')" style="margin: 0 4px; padding: 4px 8px;">B</button>
+                    <button type="button" onclick="document.execCommand('italic')" style="margin: 0 4px; padding: 4px 8px;">I</button>
+                    <button type="button" onclick="document.execCommand('underline')" style="margin: 0 4px; padding: 4px 8px;">U</button>
+                </div>
+                <div id="fallback-editor" contenteditable="true" style="min-height: 300px; padding: 12px; outline: none;"></div>
+            </div>
+        `;
+        
+        const fallbackEditor = document.getElementById('fallback-editor');
+        
+        this.quillEditor = {
+            root: fallbackEditor,
+            getText: () => fallbackEditor.textContent || '',
+            on: (event, callback) => {
+                if (event === 'text-change') {
+                    fallbackEditor.addEventListener('input', callback);
+                }
+            }
+        };
+        
+        fallbackEditor.addEventListener('input', () => {
+            this.updateWordCount();
+            this.scheduleAutoSave();
+        });
+    }
+
+    updateWordCount() {
+        if (this.quillEditor) {
+            const text = this.quillEditor.getText();
+            const wordCount = this.getWordCount(text);
+            const wordCountEl = document.getElementById('note-word-count');
+            if (wordCountEl) {
+                wordCountEl.textContent = `${wordCount} words`;
+            }
+        }
+    }
+
+    // ===== AUTO-SAVE =====
+    setupAutoSave() {
+        this.autoSaveTimeout = null;
+    }
+
+    scheduleAutoSave() {
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+        }
+        
+        this.autoSaveTimeout = setTimeout(() => {
+            if (this.currentNote) {
+                this.autoSaveCurrentNote();
+            }
+        }, 2000); // Auto-save after 2 seconds of inactivity
+    }
+
+    // Links in other notes only follow a rename once editing is finished
+    // (renameLinks), never a half-typed title from a timed save
+    autoSaveCurrentNote({ renameLinks = false } = {}) {
+        if (!this.currentNote || !this.quillEditor) return;
+        
+        const titleInput = document.getElementById('note-title-input');
+        if (!titleInput) return;
+        
+        const title = titleInput.value.trim();
+        const content = this.quillEditor.root.innerHTML;
+        const plainText = this.quillEditor.getText().trim();
+        
+        if (!title && !plainText) return; // Don't save empty notes
+        
+        if (renameLinks) this.renameWikiLinks(title);
+        this.currentNote.title = title || 'Untitled';
+        this.currentNote.content = content;
+        this.currentNote.plainText = plainText;
+        this.currentNote.modifiedAt = new Date().toISOString();
+        
+        // Find existing note or create new one
+        const existingIndex = this.notes.findIndex(n => n.id === this.currentNote.id);
+        
+        if (existingIndex >= 0) {
+            this.notes[existingIndex] = this.currentNote;
+        } else {
+            this.notes.push(this.currentNote);
+        }
+        
+        this.recordNoteVersion(this.currentNote);
+        this.saveUserData();
+        this.showToast('Auto-saved', 'success', 1000);
+    }
+
+    // ===== WIKI LINKS =====
+    // [[Note title]] links are stored as plain text. In Quill the text is also
+    // wrapped in a "wikilink" inline format so it looks and clicks like a link.
+    registerWikiLinkFormat() {
+        const Inline = Quill.import('blots/inline');
+
+        class WikiLinkBlot extends Inline {
+            static create(title) {
+                const node = super.create();
+                node.setAttribute('data-note-title', title);
+                return node;
+            }
+
+            static formats(node) {
+                return node.getAttribute('data-note-title');
+            }
+        }
+        WikiLinkBlot.blotName = 'wikilink';
+        WikiLinkBlot.tagName = 'SPAN';
+        WikiLinkBlot.className = 'wiki-link';
+
+        Quill.register(WikiLinkBlot, true);
+    }
+
+    getWikiLinkTitles(text) {
+        return Array.from((text || '').matchAll(WIKI_LINK_PATTERN), match => match[1].trim());
+    }
+
+    normalizeNoteTitle(title) {
+        return (title || '').trim().toLowerCase();
+    }
+
+    findNoteByTitle(title) {
+        const key = this.normalizeNoteTitle(title);
+        if (!key) return null;
+        return this.getActiveNotes().find(note => this.normalizeNoteTitle(note.title) === key) || null;
+    }
+
+    // Keeps the wikilink format in step with the [[...]] text after each edit
+    formatWikiLinks() {
+        const quill = this.quillEditor;
+        if (!quill || typeof quill.formatText !== 'function') return;
+
+        quill.update('silent');
+        const text = quill.getText();
+        const wanted = Array.from(text.matchAll(WIKI_LINK_PATTERN), match => ({
+            index: match.index,
+            length: match[0].length,
+            title: match[1].trim()
+        }));
+
+        const current = [];
+        let index = 0;
+        quill.getContents().ops.forEach(op => {
+            const length = typeof op.insert === 'string' ? op.insert.length : 1;
+            const title = op.attributes && op.attributes.wikilink;
+            const last = current[current.length - 1];
+            if (title && last && last.index + last.length === index && last.title === title) {
+                last.length += length;
+            } else if (title) {
+                current.push({ index, length, title });
+            }
+            index += length;
+        });
+
+        const same = (a, b) => a.index === b.index && a.length === b.length && a.title === b.title;
+        if (wanted.length === current.length && wanted.every((link, i) => same(link, current[i]))) return;
+
+        quill.formatText(0, text.length, 'wikilink', false, 'silent');
+        wanted.forEach(link => quill.formatText(link.index, link.length, 'wikilink', link.title, 'silent'));
+    }
+
+    setupWikiLinkAutocomplete() {
+        const quill = this.quillEditor;
+        const menu = document.createElement('div');
+        menu.className = 'wiki-link-suggestions hidden';
+        menu.setAttribute('role', 'listbox');
+        quill.container.appendChild(menu);
+
+        menu.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault(); // keep focus in the editor
+            this.acceptWikiLinkSuggestion(Number(option.dataset.index));
+        });
+
+        quill.on('selection-change', (range) => {
+            if (range) {
+                this.updateWikiLinkSuggestions();
+            } else {
+                this.hideWikiLinkSuggestions();
+            }
+        });
+
+        // Capture phase, so the keys reach the menu before Quill's keyboard module
+        quill.container.addEventListener('keydown', (e) => {
+            const state = this.wikiLinkSuggestions;
+            if (!state) return;
+
+            const count = state.matches.length;
+            switch (e.key) {
+                case 'ArrowDown':
+                    state.active = (state.active + 1) % count;
+                    this.renderWikiLinkSuggestions();
+                    break;
+                case 'ArrowUp':
+                    state.active = (state.active - 1 + count) % count;
+                    this.renderWikiLinkSuggestions();
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    this.acceptWikiLinkSuggestion(state.active);
+                    break;
+                case 'Escape':
+                    this.hideWikiLinkSuggestions();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    // Suggests note titles while the caret sits after an unclosed "[["
+    updateWikiLinkSuggestions() {
+        const quill = this.quillEditor;
+        if (!quill || typeof quill.getSelection !== 'function') return;
+
+        const range = quill.getSelection();
+        const match = range && range.length === 0 ? quill.getText(0, range.index).match(/\[\[([^[\]\n]*)$/) : null;
+        if (!match) {
+            this.hideWikiLinkSuggestions();
+            return;
+        }
+
+        const query = this.normalizeNoteTitle(match[1]);
+        const currentId = this.currentNote ? this.currentNote.id : null;
+        const matches = this.getActiveNotes()
+            .filter(note => note.id !== currentId && note.title && this.normalizeNoteTitle(note.title).includes(query))
+            .sort((a, b) => {
+                const aStarts = this.normalizeNoteTitle(a.title).startsWith(query);
+                const bStarts = this.normalizeNoteTitle(b.title).startsWith(query);
+                return aStarts === bStarts ? a.title.localeCompare(b.title) : (aStarts ? -1 : 1);
+            })
+            .slice(0, WIKI_LINK_SUGGESTION_LIMIT);
+
+        if (matches.length === 0) {
+            this.hideWikiLinkSuggestions();
+            return;
+        }
+
+        const previous = this.wikiLinkSuggestions;
+        const active = previous && previous.start === range.index - match[0].length ? previous.active : 0;
+        this.wikiLinkSuggestions = {
+            start: range.index - match[0].length,
+            end: range.index,
+            matches,
+            active: Math.min(active, matches.length - 1)
+        };
+
+        const menu = quill.container.querySelector('.wiki-link-suggestions');
+        const bounds = quill.getBounds(range.index);
+        if (menu && bounds) {
+            menu.style.left = `${bounds.left}px`;
+            menu.style.top = `${bounds.bottom + 4}px`;
+        }
+        this.renderWikiLinkSuggestions();
+    }
+
+    renderWikiLinkSuggestions() {
+        const state = this.wikiLinkSuggestions;
+        const menu = this.quillEditor && this.quillEditor.container
+            ? this.quillEditor.container.querySelector('.wiki-link-suggestions')
+            : null;
+        if (!state || !menu) return;
+
+        menu.innerHTML = state.matches.map((note, index) => `
+            <div class="wiki-link-option ${index === state.active ? 'active' : ''}" role="option" data-index="${index}">
+                ${this.escapeHtml(note.title)}
+            </div>
+        `).join('');
+        menu.classList.remove('hidden');
+    }
+
+    hideWikiLinkSuggestions() {
+        this.wikiLinkSuggestions = null;
+        const menu = this.quillEditor && this.quillEditor.container
+            ? this.quillEditor.container.querySelector('.wiki-link-suggestions')
+            : null;
+        if (menu) menu.classList.add('hidden');
+    }
+
+    acceptWikiLinkSuggestion(index) {
+        const state = this.wikiLinkSuggestions;
+        const note = state ? state.matches[index] : null;
+        if (!note) return;
+
+        const quill = this.quillEditor;
+        const link = `[[${note.title}]]`;
+        // Swallow a "]]" the user already typed after the caret
+        const closing = quill.getText(state.end, 2) === ']]' ? 2 : 0;
+
+        this.hideWikiLinkSuggestions();
+        quill.deleteText(state.start, state.end - state.start + closing, 'user');
+        quill.insertText(state.start, link, 'user');
+        quill.setSelection(state.start + link.length, 0, 'user');
+    }
+
+    openWikiLink(title) {
+        const target = this.findNoteByTitle(title);
+        if (target) {
+            this.followNoteLink(target.id);
+            return;
+        }
+
+        if (title && confirm(`There is no note called "${title}". Create it?`)) {
+            this.keepCurrentNoteEdits();
+            this.createNote({ title: title.trim() });
+        }
+    }
+
+    followNoteLink(noteId) {
+        if (this.currentNote && this.currentNote.id === noteId) return;
+        this.keepCurrentNoteEdits();
+        this.editNote(noteId);
+    }
+
+    // Leaving the open note (closing it or following a link) saves anything
+    // typed since the last save and lets links follow a new title
+    keepCurrentNoteEdits() {
+        if (!this.currentNote || !this.quillEditor) return;
+        clearTimeout(this.autoSaveTimeout);
+
+        const titleInput = document.getElementById('note-title-input');
+        const stored = this.notes.find(n => n.id === this.currentNote.id);
+        const title = titleInput ? titleInput.value.trim() || 'Untitled' : this.currentNote.title;
+        // Color and reminder pickers only change the open copy, so they count as edits too
+        const changed = !stored || stored.title !== title || stored.content !== this.quillEditor.root.innerHTML ||
+            stored.color !== this.currentNote.color || stored.dueAt !== this.currentNote.dueAt;
+        if (changed) {
+            this.autoSaveCurrentNote({ renameLinks: true });
+        } else if (this.linkedTitle && this.normalizeNoteTitle(this.linkedTitle) !== this.normalizeNoteTitle(title)) {
+            // A timed save already stored the new title
+            this.renameWikiLinks(title);
+            this.saveUserData();
+        }
+    }
+
+    renderBacklinks(note) {
+        const section = document.getElementById('note-backlinks');
+        const list = document.getElementById('note-backlinks-list');
+        if (!section || !list) return;
+
+        const key = this.normalizeNoteTitle(note.title);
+        const backlinks = key
+            ? this.getActiveNotes().filter(other => other.id !== note.id &&
+                this.getWikiLinkTitles(other.plainText).some(title => this.normalizeNoteTitle(title) === key))
+            : [];
+
+        list.innerHTML = backlinks.map(other => `
+            <button type="button" class="backlink-item" onclick="app.followNoteLink('${other.id}')">
+                <i data-lucide="file-text"></i>
+                <span>${this.escapeHtml(other.title || 'Untitled')}</span>
+            </button>
+        `).join('');
+        section.classList.toggle('hidden', backlinks.length === 0);
+    }
+
+    // Rewrites [[Old title]] in other notes when the open note is renamed
+    renameWikiLinks(title) {
+        const oldTitle = this.linkedTitle;
+        if (!title) return;
+
+        const oldKey = this.normalizeNoteTitle(oldTitle);
+        if (!oldKey || oldKey === this.normalizeNoteTitle(title)) {
+            this.linkedTitle = title;
+            return;
+        }
+
+        // Another note answers to the old title as well, so those links may not be ours
+        const currentId = this.currentNote.id;
+        if (this.getActiveNotes().some(note => note.id !== currentId && this.normalizeNoteTitle(note.title) === oldKey)) {
+            return;
+        }
+
+        const relink = text => text.replace(WIKI_LINK_PATTERN, (link, linkTitle) =>
+            this.normalizeNoteTitle(linkTitle) === oldKey ? `[[${title}]]` : link);
+
+        let updated = 0;
+        this.notes.forEach(note => {
+            if (note.id === currentId) return;
+            if (!this.getWikiLinkTitles(note.plainText).some(linkTitle => this.normalizeNoteTitle(linkTitle) === oldKey)) return;
+
+            const template = document.createElement('template');
+            template.innerHTML = note.content || '';
+            this.relinkWikiLinkText(template.content, oldKey, title);
+            template.content.querySelectorAll('.wiki-link').forEach(link => {
+                if (this.normalizeNoteTitle(link.dataset.noteTitle) === oldKey) link.dataset.noteTitle = title;
+            });
+
+            note.content = template.innerHTML;
+            note.plainText = relink(note.plainText || '');
+            updated++;
+        });
+
+        this.linkedTitle = title;
+        if (updated > 0) {
+            this.showToast(`Updated links in ${updated} note${updated === 1 ? '' : 's'}`, 'info');
+        }
+    }
+
+    // Formatting can split [[Old title]] over several text nodes, so links are
+    // found in each block's whole text. The new title goes into the node that
+    // held the first character of the old one; the rest of the old title is
+    // cut from the nodes after it.
+    relinkWikiLinkText(root, oldKey, title) {
+        const blocks = new Map();
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const block = (node.parentElement && node.parentElement.closest('p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, div')) || root;
+            if (!blocks.has(block)) blocks.set(block, []);
+            blocks.get(block).push(node);
+        }
+
+        blocks.forEach(nodes => {
+            const text = nodes.map(node => node.textContent).join('');
+            const matches = Array.from(text.matchAll(WIKI_LINK_PATTERN))
+                .filter(match => this.normalizeNoteTitle(match[1]) === oldKey);
+
+            // Last match first, so earlier offsets stay valid
+            matches.reverse().forEach(match => {
+                const start = match.index + 2;
+                const end = start + match[1].length;
+                let position = 0;
+                let placed = false;
+                nodes.forEach(node => {
+                    const value = node.textContent;
+                    const from = Math.max(start - position, 0);
+                    const to = Math.min(end - position, value.length);
+                    position += value.length;
+                    if (from >= value.length || to <= from) return;
+                    node.textContent = value.slice(0, from) + (placed ? '' : title) + value.slice(to);
+                    placed = true;
+                });
+            });
+        });
+    }
+
+    // ===== NOTEBOOKS =====
+    // Notebooks are stored as categories with a parentId, so they nest to
+    // any depth. The order of this.categories is the order among siblings.
+    getNotebookChildren(parentId) {
+        return this.categories.filter(c => (c.parentId || null) === parentId);
+    }
+
+    // The notebook's id followed by the ids of every notebook below it
+    getNotebookSubtree(categoryId) {
+        return [categoryId, ...this.getNotebookChildren(categoryId).flatMap(child => this.getNotebookSubtree(child.id))];
+    }
+
+    // Notebooks from the top level down to categoryId
+    getNotebookPath(categoryId) {
+        const path = [];
+        let category = this.categories.find(c => c.id === categoryId);
+        while (category) {
+            path.unshift(category);
+            const parentId = category.parentId;
+            category = parentId ? this.categories.find(c => c.id === parentId) : null;
+        }
+        return path;
+    }
+
+    getNotebookPathName(categoryId) {
+        return this.getNotebookPath(categoryId).map(c => c.name).join(' › ');
+    }
+
+    // Depth-first [{ category, depth }], skipping the subtree of excludeId
+    getNotebookOptions(excludeId = null) {
+        const walk = (parentId, depth) => this.getNotebookChildren(parentId)
+            .filter(category => category.id !== excludeId)
+            .flatMap(category => [{ category, depth }, ...walk(category.id, depth + 1)]);
+        return walk(null, 0);
+    }
+
+    renderNotebookOptions(options, selectedIds = []) {
+        return options.map(({ category, depth }) =>
+            `<option value="${this.escapeHtml(category.id)}"${selectedIds.includes(category.id) ? ' selected' : ''}>${'\u00a0\u00a0'.repeat(depth)}${this.escapeHtml(category.name)}</option>`
+        ).join('');
+    }
+
+    showCategoryModal(category = null, parentId = null) {
+        const modal = document.getElementById('category-modal');
+        const title = document.getElementById('category-modal-title');
+        const nameInput = document.getElementById('category-name-input');
+        const parentSelect = document.getElementById('category-parent-select');
+        const deleteBtn = document.getElementById('delete-category');
+        
+        if (!modal || !title || !nameInput) return;
+        
+        this.editingCategoryId = category ? category.id : null;
+        if (deleteBtn) deleteBtn.classList.toggle('hidden', !category);
+        
+        if (parentSelect) {
+            // A notebook can't move inside itself
+            parentSelect.innerHTML = '<option value="">Top level</option>' +
+                this.renderNotebookOptions(this.getNotebookOptions(category ? category.id : null));
+            parentSelect.value = (category ? category.parentId : parentId) || '';
+        }
+        
+        if (category) {
+            title.textContent = 'Edit Notebook';
+            nameInput.value = category.name;
+            this.selectColorOption(category.color);
+        } else {
+            title.textContent = 'Add Notebook';
+            nameInput.value = '';
+            this.selectColorOption('#3b82f6');
+        }
+        
+        modal.classList.remove('hidden');
+        nameInput.focus();
+    }
+
+    saveCategory() {
+        const nameInput = document.getElementById('category-name-input');
+        const parentSelect = document.getElementById('category-parent-select');
+        const selectedColorOption = document.querySelector('#category-color-picker .color-option.active');
+        
+        if (!nameInput || !selectedColorOption) return;
+        
+        const name = nameInput.value.trim();
+        const selectedColor = selectedColorOption.dataset.color;
+        const parentId = parentSelect ? parentSelect.value || null : null;
+        
+        if (!name) {
+            this.showToast('Notebook name is required', 'error');
+            return;
+        }
+        
+        // Names only have to be unique next to each other
+        const existingCategory = this.getNotebookChildren(parentId)
+            .find(c => c.id !== this.editingCategoryId && c.name.toLowerCase() === name.toLowerCase());
+        if (existingCategory) {
+            this.showToast('A notebook with that name already exists here', 'error');
+            return;
+        }
+        
+        const editing = this.categories.find(c => c.id === this.editingCategoryId);
+        if (editing) {
+            editing.name = name;
+            editing.color = selectedColor;
+            if ((editing.parentId || null) !== parentId) this.moveNotebook(editing.id, parentId);
+        } else {
+            this.categories.push({
+                id: this.generateId(),
+                name: name,
+                color: selectedColor,
+                parentId
+            });
+            if (parentId) this.collapsedNotebooks.delete(parentId);
+        }
+        
+        this.saveUserData();
+        this.closeCategoryModal();
+        // Cards, chips and smart folders all show notebook names and colors
+        this.renderNotes();
+        this.updateFiltersBar();
+        this.showToast(editing ? 'Notebook updated' : 'Notebook created', 'success');
+    }
+
+    closeCategoryModal() {
+        const modal = document.getElementById('category-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+        this.editingCategoryId = null;
+    }
+
+    editCategory(categoryId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (category) this.showCategoryModal(category);
+    }
+
+    // Sub-notebooks of a deleted notebook move up a level. Its notes
+    // (trashed ones included) move to another notebook or to none; empty
+    // notebooks only need a confirm.
+    deleteCategory(categoryId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        const noteCount = this.notes.filter(note => note.category === categoryId).length;
+        if (noteCount === 0) {
+            if (!confirm(`Delete the notebook "${category.name}"?`)) return;
+            this.closeCategoryModal();
+            this.removeCategory(categoryId, null);
+            return;
+        }
+
+        const modal = document.getElementById('delete-category-modal');
+        const message = document.getElementById('delete-category-message');
+        const targetSelect = document.getElementById('delete-category-target');
+        if (!modal || !message || !targetSelect) return;
+
+        this.closeCategoryModal();
+        this.deletingCategoryId = categoryId;
+        message.textContent = `"${category.name}" has ${noteCount} note${noteCount === 1 ? '' : 's'}. Choose where they should go.`;
+        targetSelect.innerHTML = '<option value="">No Notebook</option>' +
+            this.renderNotebookOptions(this.getNotebookOptions().filter(option => option.category.id !== categoryId));
+        targetSelect.value = category.parentId || '';
+        modal.classList.remove('hidden');
+        targetSelect.focus();
+    }
+
+    confirmDeleteCategory() {
+        const targetSelect = document.getElementById('delete-category-target');
+        const categoryId = this.deletingCategoryId;
+        if (!categoryId || !targetSelect) return;
+
+        this.closeDeleteCategoryModal();
+        this.removeCategory(categoryId, targetSelect.value || null);
+    }
+
+    closeDeleteCategoryModal() {
+        const modal = document.getElementById('delete-category-modal');
+        if (modal) modal.classList.add('hidden');
+        this.deletingCategoryId = null;
+    }
+
+    removeCategory(categoryId, targetId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        const now = new Date().toISOString();
+        const moved = this.notes.filter(note => note.category === categoryId);
+        moved.forEach(note => {
+            note.category = targetId;
+            note.modifiedAt = now;
+        });
+
+        this.getNotebookChildren(categoryId).forEach(child => {
+            child.parentId = category.parentId || null;
+        });
+        this.categories = this.categories.filter(c => c.id !== categoryId);
+        // Smart folders follow their notes to the new notebook
+        this.smartFolders.forEach(folder => {
+            if (!folder.categories.includes(categoryId)) return;
+            folder.categories = folder.categories.filter(id => id !== categoryId);
+            if (targetId && !folder.categories.includes(targetId)) folder.categories.push(targetId);
+        });
+        this.activeCategories = this.activeCategories.filter(id => id !== categoryId);
+        this.collapsedNotebooks.delete(categoryId);
+
+        this.saveUserData();
+        this.applyFilterSelection();
+
+        const target = this.categories.find(c => c.id === targetId);
+        this.showToast(moved.length
+            ? `Notebook deleted; ${moved.length} note${moved.length === 1 ? '' : 's'} moved to ${target ? target.name : 'No Notebook'}`
+            : 'Notebook deleted', 'success');
+    }
+
+    // Puts a notebook under parentId, before the sibling beforeId or last.
+    // Returns false when that would nest the notebook inside itself.
+    moveNotebook(categoryId, parentId, beforeId = null) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category || categoryId === beforeId) return false;
+        if (parentId && this.getNotebookSubtree(categoryId).includes(parentId)) return false;
+
+        this.categories = this.categories.filter(c => c.id !== categoryId);
+        category.parentId = parentId;
+        const index = this.categories.findIndex(c => c.id === beforeId);
+        this.categories.splice(index >= 0 ? index : this.categories.length, 0, category);
+        if (parentId) this.collapsedNotebooks.delete(parentId);
+        return true;
+    }
+
+    // Keyboard moves: up/down among siblings, left out of the parent and
+    // right into the sibling above
+    nudgeNotebook(categoryId, direction) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        const parentId = category.parentId || null;
+        const siblings = this.getNotebookChildren(parentId);
+        const index = siblings.indexOf(category);
+        let moved = false;
+
+        if (direction === 'up' && index > 0) {
+            moved = this.moveNotebook(categoryId, parentId, siblings[index - 1].id);
+        } else if (direction === 'down' && index < siblings.length - 1) {
+            const after = siblings[index + 2];
+            moved = this.moveNotebook(categoryId, parentId, after ? after.id : null);
+        } else if (direction === 'left' && parentId) {
+            const parent = this.categories.find(c => c.id === parentId);
+            const parentSiblings = this.getNotebookChildren(parent.parentId || null);
+            const next = parentSiblings[parentSiblings.indexOf(parent) + 1];
+            moved = this.moveNotebook(categoryId, parent.parentId || null, next ? next.id : null);
+        } else if (direction === 'right' && index > 0) {
+            moved = this.moveNotebook(categoryId, siblings[index - 1].id);
+        }
+        if (!moved) return;
+
+        this.saveUserData();
+        const item = document.querySelector(`.category-item[data-category-id="${categoryId}"]`);
+        if (item) item.focus();
+    }
+
+    moveNotesToNotebook(noteIds, categoryId) {
+        const notes = this.notes.filter(note => noteIds.includes(note.id) && !note.deletedAt && note.category !== categoryId);
+        if (notes.length === 0) return;
+
+        const now = new Date().toISOString();
+        notes.forEach(note => {
+            note.category = categoryId;
+            note.modifiedAt = now;
+        });
+
+        const category = this.categories.find(c => c.id === categoryId);
+        this.saveUserData();
+        this.renderNotes();
+        this.showToast(`Moved ${notes.length} note${notes.length === 1 ? '' : 's'} to ${category ? category.name : 'No Notebook'}`, 'success');
+    }
+
+    // Drop a notebook on the top or bottom edge of another to place it
+    // beside it, or on the middle to nest it inside; drop it on empty space
+    // to move it to the top level. Note cards dropped on a notebook move
+    // into it.
+    setupNotebookTree(list) {
+        let draggedId = null;
+
+        const dropPosition = (e, item) => {
+            const rect = item.getBoundingClientRect();
+            const offset = (e.clientY - rect.top) / (rect.height || 1);
+            if (offset < 0.25) return 'before';
+            if (offset > 0.75) return 'after';
+            return 'inside';
+        };
+        const clearMarkers = () => {
+            list.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(el => {
+                el.classList.remove('drop-before', 'drop-after', 'drop-inside');
+            });
+        };
+        const carriesNotes = e => Array.from(e.dataTransfer.types || []).includes(NOTE_DRAG_TYPE);
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.category-item');
+            if (!item) return;
+            draggedId = item.dataset.categoryId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+            item.classList.add('dragging');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.category-item');
+            if (!draggedId && !carriesNotes(e)) return;
+            e.preventDefault();
+            clearMarkers();
+            if (!item || item.dataset.categoryId === draggedId) return;
+            item.classList.add(draggedId ? `drop-${dropPosition(e, item)}` : 'drop-inside');
+        });
+
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) clearMarkers();
+        });
+
+        list.addEventListener('drop', (e) => {
+            const item = e.target.closest('.category-item');
+            clearMarkers();
+
+            if (!draggedId) {
+                if (!item || !carriesNotes(e)) return;
+                e.preventDefault();
+                let noteIds = [];
+                try {
+                    noteIds = JSON.parse(e.dataTransfer.getData(NOTE_DRAG_TYPE));
+                } catch (error) {
+                    return;
+                }
+                this.moveNotesToNotebook(noteIds, item.dataset.categoryId);
+                return;
+            }
+
+            e.preventDefault();
+            let moved;
+            if (!item) {
+                moved = this.moveNotebook(draggedId, null);
+            } else {
+                const target = this.categories.find(c => c.id === item.dataset.categoryId);
+                const position = dropPosition(e, item);
+                if (!target || target.id === draggedId) return;
+                if (position === 'inside') {
+                    moved = this.moveNotebook(draggedId, target.id);
+                } else {
+                    const siblings = this.getNotebookChildren(target.parentId || null).filter(c => c.id !== draggedId);
+                    const before = position === 'before' ? target : siblings[siblings.indexOf(target) + 1];
+                    moved = this.moveNotebook(draggedId, target.parentId || null, before ? before.id : null);
+                }
+            }
+            if (moved) {
+                this.saveUserData();
+            } else {
+                this.showToast('A notebook can\'t go inside itself', 'error');
+            }
+        });
+
+        list.addEventListener('dragend', () => {
+            draggedId = null;
+            clearMarkers();
+            list.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+
+        list.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.category-item');
+            if (!item || e.target !== item) return;
+
+            const id = item.dataset.categoryId;
+            const directions = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+            if (e.altKey && directions[e.key]) {
+                e.preventDefault();
+                this.nudgeNotebook(id, directions[e.key]);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.toggleCategoryFilter(id);
+            }
+        });
     }
 
-    editNote(noteId) {
-        const note = this.notes.find(n => n.id === noteId);
-        if (note) {
-            this.currentNote = { ...note }; // Create a copy for editing
-            this.showNoteModal(this.currentNote);
+    toggleNotebookCollapsed(categoryId) {
+        if (this.collapsedNotebooks.has(categoryId)) {
+            this.collapsedNotebooks.delete(categoryId);
+        } else {
+            this.collapsedNotebooks.add(categoryId);
         }
+        this.renderCategories();
     }
 
-    async saveCurrentNote() {
-        if (!this.currentNote) return;
+    selectColorOption(color, picker = document.getElementById('category-color-picker')) {
+        if (!picker) return;
+        picker.querySelectorAll('.color-option').forEach(option => {
+            option.classList.remove('active');
+            if (option.dataset.color === color) {
+                option.classList.add('active');
+            }
+        });
+    }
+
+    // Only the picker the option belongs to changes
+    selectColor(element) {
+        const picker = element.closest('.color-picker') || document;
+        picker.querySelectorAll('.color-option').forEach(option => {
+            option.classList.remove('active');
+        });
+        element.classList.add('active');
+    }
+
+    // Render the notebook tree; counts include notes in sub-notebooks
+    renderCategories() {
+        const container = document.getElementById('categories-list');
+        if (!container) return;
         
-        const titleInput = document.getElementById('note-title-input');
-        if (!titleInput || !this.quillEditor) return;
+        if (this.categories.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No notebooks yet</p>';
+            return;
+        }
         
-        const title = titleInput.value.trim();
-        const content = this.quillEditor.root.innerHTML;
-        const plainText = this.quillEditor.getText().trim();
+        const renderNode = (category, depth) => {
+            const children = this.getNotebookChildren(category.id);
+            const collapsed = this.collapsedNotebooks.has(category.id);
+            const item = `
+                <div class="category-item ${this.activeCategories.includes(category.id) ? 'active' : ''}"
+                     style="--notebook-depth: ${depth}"
+                     data-category-id="${category.id}" draggable="true" tabindex="0"
+                     onclick="app.toggleCategoryFilter('${category.id}')">
+                    ${children.length ? `
+                        <button type="button" class="tag-toggle ${collapsed ? '' : 'expanded'}"
+                                aria-expanded="${!collapsed}" title="${collapsed ? 'Expand' : 'Collapse'}"
+                                onclick="event.stopPropagation(); app.toggleNotebookCollapsed('${category.id}')">
+                            <i data-lucide="chevron-right"></i>
+                        </button>` : '<span class="tag-toggle-spacer"></span>'}
+                    <span class="category-color" style="background-color: ${category.color}"></span>
+                    <span class="category-name">${this.escapeHtml(category.name)}</span>
+                    <span class="category-count">${this.getCategoryCount(category.id)}</span>
+                    <div class="category-actions">
+                        <button type="button" class="category-action" title="Add notebook inside"
+                                onclick="event.stopPropagation(); app.showCategoryModal(null, '${category.id}')">
+                            <i data-lucide="plus"></i>
+                        </button>
+                        <button type="button" class="category-action" title="Edit"
+                                onclick="event.stopPropagation(); app.editCategory('${category.id}')">
+                            <i data-lucide="pencil"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            return item + (collapsed ? '' : children.map(child => renderNode(child, depth + 1)).join(''));
+        };
         
-        if (!title && !plainText) {
-            this.showToast('Note cannot be empty', 'error');
-            return;
+        container.innerHTML = this.getNotebookChildren(null).map(category => renderNode(category, 0)).join('');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
+    }
+
+    getCategoryCount(categoryId) {
+        const subtree = this.getNotebookSubtree(categoryId);
+        return this.getActiveNotes().filter(note => subtree.includes(note.category)).length;
+    }
+
+    // Render tags as a tree; counts include notes tagged below each node
+    renderTags() {
+        const container = document.getElementById('tags-list');
+        if (!container) return;
         
-        this.currentNote.title = title || 'Untitled';
-        this.currentNote.content = content;
-        this.currentNote.plainText = plainText;
-        this.currentNote.modifiedAt = new Date().toISOString();
+        if (this.allTags.size === 0) {
+            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No tags yet</p>';
+            return;
+        }
         
-        // Find existing note or create new one
-        const existingIndex = this.notes.findIndex(n => n.id === this.currentNote.id);
+        const renderNode = (node, depth) => {
+            const hasChildren = node.children.size > 0;
+            const collapsed = this.collapsedTags.has(node.path);
+            const tag = this.escapeHtml(node.path);
+            const item = `
+                <div class="tag-item ${this.activeTags.includes(node.path) ? 'active' : ''}"
+                     style="--tag-depth: ${depth}" data-tag="${tag}" title="#${tag}"
+                     onclick="app.toggleTagFilter(this.dataset.tag)">
+                    ${hasChildren ? `
+                        <button type="button" class="tag-toggle ${collapsed ? '' : 'expanded'}"
+                                aria-expanded="${!collapsed}" title="${collapsed ? 'Expand' : 'Collapse'}"
+                                onclick="event.stopPropagation(); app.toggleTagCollapsed(this.parentElement.dataset.tag)">
+                            <i data-lucide="chevron-right"></i>
+                        </button>` : '<span class="tag-toggle-spacer"></span>'}
+                    <span class="tag-name">${depth === 0 ? '#' : ''}${this.escapeHtml(node.name)}</span>
+                    <span class="tag-count">${this.getTagCount(node.path)}</span>
+                </div>
+            `;
+            const children = hasChildren && !collapsed
+                ? Array.from(node.children.values()).map(child => renderNode(child, depth + 1)).join('')
+                : '';
+            return item + children;
+        };
         
-        if (existingIndex >= 0) {
-            this.notes[existingIndex] = this.currentNote;
+        container.innerHTML = Array.from(this.buildTagTree().values()).map(node => renderNode(node, 0)).join('');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    // Nested Maps of { name, path, children }. Parents that only exist as a
+    // prefix of a longer tag still get a node so the tree has no gaps.
+    buildTagTree() {
+        const roots = new Map();
+        Array.from(this.allTags).sort((a, b) => a.localeCompare(b)).forEach(tag => {
+            let level = roots;
+            let path = '';
+            tag.split(TAG_SEPARATOR).forEach(segment => {
+                path = path ? `${path}${TAG_SEPARATOR}${segment}` : segment;
+                if (!level.has(segment)) level.set(segment, { name: segment, path, children: new Map() });
+                level = level.get(segment).children;
+            });
+        });
+        return roots;
+    }
+
+    toggleTagCollapsed(tag) {
+        if (this.collapsedTags.has(tag)) {
+            this.collapsedTags.delete(tag);
+        } else {
+            this.collapsedTags.add(tag);
+        }
+        this.renderTags();
+    }
+
+    getTagCount(tag) {
+        return this.getActiveNotes().filter(note => note.tags && note.tags.some(t => SearchQuery.matchesTag(t, tag))).length;
+    }
+
+    // ===== TAG MANAGER =====
+    // Rename, merge and delete tags across the whole vault. Renaming a tag
+    // moves the tags nested below it too, and renaming onto an existing tag
+    // merges the two.
+    showTagManager() {
+        const modal = document.getElementById('tag-manager-modal');
+        if (!modal) return;
+
+        this.cancelTagEdit();
+        this.renderTagManager();
+        modal.classList.remove('hidden');
+    }
+
+    closeTagManager() {
+        const modal = document.getElementById('tag-manager-modal');
+        if (modal) modal.classList.add('hidden');
+        this.tagManagerEdit = null;
+    }
+
+    // Notes (trashed ones included) that carry exactly this tag
+    getTagUsage(tag) {
+        return this.notes.filter(note => note.tags && note.tags.includes(tag)).length;
+    }
+
+    renderTagManager() {
+        const list = document.getElementById('tag-manager-list');
+        const deleteUnusedBtn = document.getElementById('delete-unused-tags');
+        if (!list) return;
+
+        const tags = Array.from(this.allTags).sort((a, b) => a.localeCompare(b));
+        if (deleteUnusedBtn) deleteUnusedBtn.disabled = !tags.some(tag => this.getTagUsage(tag) === 0);
+
+        if (tags.length === 0) {
+            list.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No tags yet</p>';
+            return;
+        }
+
+        list.innerHTML = tags.map(tag => {
+            const usage = this.getTagUsage(tag);
+            const editing = this.tagManagerEdit && this.tagManagerEdit.tag === tag;
+            return `
+                <div class="tag-manager-row ${editing ? 'editing' : ''}" data-tag="${this.escapeHtml(tag)}">
+                    <span class="tag-manager-name">#${this.escapeHtml(tag)}</span>
+                    <span class="tag-manager-usage">${usage} note${usage === 1 ? '' : 's'}</span>
+                    <div class="tag-manager-actions">
+                        <button type="button" class="btn btn-ghost btn-sm" title="Rename"
+                                onclick="app.startTagEdit(this.closest('.tag-manager-row').dataset.tag, 'rename')">
+                            <i data-lucide="pencil"></i>
+                        </button>
+                        <button type="button" class="btn btn-ghost btn-sm" title="Merge into another tag"
+                                onclick="app.startTagEdit(this.closest('.tag-manager-row').dataset.tag, 'merge')"
+                                ${tags.length < 2 ? 'disabled' : ''}>
+                            <i data-lucide="git-merge"></i>
+                        </button>
+                        <button type="button" class="btn btn-ghost btn-sm" title="${usage ? 'Only unused tags can be deleted' : 'Delete'}"
+                                onclick="app.deleteTag(this.closest('.tag-manager-row').dataset.tag)"
+                                ${usage ? 'disabled' : ''}>
+                            <i data-lucide="trash-2"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    startTagEdit(tag, mode) {
+        const form = document.getElementById('tag-manager-form');
+        const label = document.getElementById('tag-manager-label');
+        const input = document.getElementById('tag-manager-input');
+        const options = document.getElementById('tag-manager-options');
+        const applyBtn = document.getElementById('apply-tag-manager-edit');
+        if (!form || !label || !input || !options || !applyBtn) return;
+
+        this.tagManagerEdit = { tag, mode };
+        label.textContent = mode === 'merge' ? `Merge #${tag} into` : `Rename #${tag} to`;
+        applyBtn.textContent = mode === 'merge' ? 'Merge' : 'Rename';
+        input.value = mode === 'merge' ? '' : tag;
+        options.innerHTML = Array.from(this.allTags)
+            .filter(t => t !== tag)
+            .sort((a, b) => a.localeCompare(b))
+            .map(t => `<option value="${this.escapeHtml(t)}"></option>`).join('');
+
+        form.classList.remove('hidden');
+        this.renderTagManager();
+        input.focus();
+        input.select();
+    }
+
+    cancelTagEdit() {
+        const form = document.getElementById('tag-manager-form');
+        if (form) form.classList.add('hidden');
+        this.tagManagerEdit = null;
+        this.renderTagManager();
+    }
+
+    applyTagEdit() {
+        const input = document.getElementById('tag-manager-input');
+        if (!input || !this.tagManagerEdit) return;
+
+        const { tag: from, mode } = this.tagManagerEdit;
+        const { tag: to, error } = this.parseTag(input.value);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+        if (to === from) {
+            this.cancelTagEdit();
+            return;
+        }
+        if (SearchQuery.matchesTag(to, from)) {
+            this.showToast(`#${to} is nested inside #${from}`, 'error');
+            return;
+        }
+
+        // Tags nested below `from` move along, so the deepest of them must still fit
+        const depth = tag => tag.split(TAG_SEPARATOR).length;
+        const nestedDepth = [...this.allTags, ...this.notes.flatMap(note => note.tags || [])]
+            .filter(tag => SearchQuery.matchesTag(tag, from))
+            .reduce((deepest, tag) => Math.max(deepest, depth(tag) - depth(from)), 0);
+        if (depth(to) + nestedDepth > TAG_MAX_DEPTH) {
+            this.showToast(`Tags can be nested at most ${TAG_MAX_DEPTH} levels deep`, 'error');
+            return;
+        }
+
+        const exists = this.allTags.has(to);
+        if (mode === 'merge' && !exists) {
+            this.showToast(`There is no tag #${to} to merge into`, 'error');
+            return;
+        }
+        if (mode === 'rename' && exists && !confirm(`#${to} already exists. Merge #${from} into it?`)) return;
+
+        const updated = this.renameTag(from, to);
+        this.cancelTagEdit();
+        this.showToast(`${exists ? `Merged #${from} into` : `Renamed #${from} to`} #${to} in ${updated} note${updated === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Rewrites `from` and the tags nested below it to `to` everywhere they
+    // are kept: notes (trashed ones included), the active filter, smart
+    // folders and the tree's folded branches. Returns the notes changed.
+    renameTag(from, to) {
+        const rename = tag => SearchQuery.matchesTag(tag, from) ? to + tag.slice(from.length) : tag;
+        const renameAll = tags => [...new Set(tags.map(rename))];
+        const now = new Date().toISOString();
+
+        let updated = 0;
+        this.notes.forEach(note => {
+            if (!note.tags || !note.tags.some(tag => SearchQuery.matchesTag(tag, from))) return;
+            note.tags = renameAll(note.tags);
+            note.modifiedAt = now;
+            updated++;
+        });
+
+        this.tags = renameAll(Array.from(this.allTags));
+        this.activeTags = renameAll(this.activeTags);
+        this.smartFolders.forEach(folder => {
+            folder.tags = renameAll(folder.tags);
+        });
+        this.collapsedTags = new Set(renameAll(Array.from(this.collapsedTags)));
+        this.extractAllTags();
+
+        this.saveUserData();
+        this.applyFilterSelection();
+        return updated;
+    }
+
+    deleteTag(tag) {
+        if (this.getTagUsage(tag) > 0) {
+            this.showToast('Only unused tags can be deleted', 'error');
+            return;
+        }
+        this.removeTags([tag]);
+        this.showToast(`Deleted #${tag}`, 'success');
+    }
+
+    deleteUnusedTags() {
+        const unused = Array.from(this.allTags).filter(tag => this.getTagUsage(tag) === 0);
+        if (unused.length === 0) return;
+        if (!confirm(`Delete ${unused.length} unused tag${unused.length === 1 ? '' : 's'}?`)) return;
+
+        this.removeTags(unused);
+        this.showToast(`Deleted ${unused.length} unused tag${unused.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    removeTags(tags) {
+        this.tags = Array.from(this.allTags).filter(tag => !tags.includes(tag));
+        this.activeTags = this.activeTags.filter(tag => !tags.includes(tag));
+        this.smartFolders.forEach(folder => {
+            folder.tags = folder.tags.filter(tag => !tags.includes(tag));
+        });
+        this.extractAllTags();
+
+        this.saveUserData();
+        this.applyFilterSelection();
+        this.renderTagManager();
+    }
+
+    // ===== SMART FOLDERS =====
+    // A smart folder saves the sidebar view, search query and sort order
+    // under a name. Folders live in the encrypted vault metadata.
+    readSmartFolders(stored) {
+        if (!Array.isArray(stored)) return [];
+        const strings = list => Array.isArray(list) ? list.filter(item => typeof item === 'string') : [];
+
+        return stored
+            .filter(folder => folder && typeof folder.id === 'string' && typeof folder.name === 'string' && folder.name.trim())
+            .map(folder => {
+                // Folders saved before multi-select held a single category or tag view
+                const legacy = folder.filter === 'category' || folder.filter === 'tag';
+                return {
+                    id: folder.id,
+                    name: folder.name.trim(),
+                    query: typeof folder.query === 'string' ? folder.query : '',
+                    filter: legacy || typeof folder.filter !== 'string' ? 'all' : folder.filter,
+                    categories: folder.filter === 'category' && folder.category ? [folder.category] : strings(folder.categories),
+                    tags: folder.filter === 'tag' && folder.tag ? [folder.tag] : strings(folder.tags),
+                    tagMode: folder.tagMode === 'all' ? 'all' : 'any',
+                    sortBy: typeof folder.sortBy === 'string' ? folder.sortBy : 'dateModified'
+                };
+            });
+    }
+
+    renderSmartFolders() {
+        const container = document.getElementById('smart-folders-list');
+        if (!container) return;
+
+        if (this.smartFolders.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">Save a search to keep it here</p>';
+            return;
+        }
+
+        container.innerHTML = this.smartFolders.map(folder => `
+            <div class="smart-folder-item ${this.isCurrentView(folder) ? 'active' : ''}"
+                 data-folder-id="${folder.id}" draggable="true" tabindex="0"
+                 title="${this.escapeHtml(this.describeSmartFolder(folder))}"
+                 onclick="app.openSmartFolder('${folder.id}')">
+                <i data-lucide="folder-search"></i>
+                <span class="smart-folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="smart-folder-count">${this.smartFolderCounts.has(folder.id) ? this.smartFolderCounts.get(folder.id) : ''}</span>
+                <div class="smart-folder-actions">
+                    <button type="button" class="smart-folder-action" title="Edit"
+                            onclick="event.stopPropagation(); app.showSmartFolderModal('${folder.id}')">
+                        <i data-lucide="pencil"></i>
+                    </button>
+                    <button type="button" class="smart-folder-action" title="Delete"
+                            onclick="event.stopPropagation(); app.deleteSmartFolder('${folder.id}')">
+                        <i data-lucide="x"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    describeSmartFolder(folder) {
+        const parts = [{ all: 'All notes', pinned: 'Pinned', favorites: 'Favorites', recent: 'Recent', tasks: 'Tasks', upcoming: 'Upcoming', overdue: 'Overdue' }[folder.filter] || 'All notes'];
+        const categoryNames = folder.categories
+            .filter(id => this.categories.some(c => c.id === id))
+            .map(id => this.getNotebookPathName(id));
+        if (categoryNames.length) parts.push(categoryNames.join(' or '));
+        if (folder.tags.length) parts.push(folder.tags.map(tag => `#${tag}`).join(folder.tagMode === 'all' ? ' and ' : ' or '));
+        if (folder.query) parts.push(folder.query);
+        return parts.join(' · ');
+    }
+
+    isCurrentView(folder) {
+        const view = this.getCurrentView();
+        const sameItems = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+        return view.filter === folder.filter &&
+            sameItems(view.categories, folder.categories) &&
+            sameItems(view.tags, folder.tags) &&
+            (view.tags.length < 2 || view.tagMode === folder.tagMode) &&
+            view.query.trim() === folder.query &&
+            this.sortBy === folder.sortBy;
+    }
+
+    openSmartFolder(folderId) {
+        const folder = this.smartFolders.find(f => f.id === folderId);
+        if (!folder) return;
+
+        this.sortBy = folder.sortBy;
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = folder.query;
+        this.searchQuery = folder.query;
+
+        this.setFilterView(folder);
+        // Refreshes the search clear button and the URL
+        this.handleSearch(folder.query);
+    }
+
+    // Opens the editor for a folder, or for a new one from the current view
+    showSmartFolderModal(folderId = null) {
+        const modal = document.getElementById('smart-folder-modal');
+        const title = document.getElementById('smart-folder-modal-title');
+        const nameInput = document.getElementById('smart-folder-name');
+        const queryInput = document.getElementById('smart-folder-query');
+        const filterSelect = document.getElementById('smart-folder-filter');
+        const categorySelect = document.getElementById('smart-folder-categories');
+        const tagSelect = document.getElementById('smart-folder-tags');
+        const tagModeSelect = document.getElementById('smart-folder-tag-mode');
+        const sortSelect = document.getElementById('smart-folder-sort');
+        if (!modal || !nameInput || !queryInput || !filterSelect || !categorySelect || !tagSelect || !tagModeSelect || !sortSelect) return;
+
+        const folder = this.smartFolders.find(f => f.id === folderId);
+        const view = folder || {
+            ...this.getCurrentView(),
+            name: '',
+            query: this.searchQuery.trim(),
+            sortBy: this.sortBy
+        };
+        if (!folder && view.filter === 'trash') view.filter = 'all';
+
+        this.editingSmartFolderId = folder ? folder.id : null;
+        if (title) title.textContent = folder ? 'Edit Smart Folder' : 'Save Smart Folder';
+
+        filterSelect.value = ['all', 'pinned', 'favorites', 'recent', 'tasks', 'upcoming', 'overdue'].includes(view.filter) ? view.filter : 'all';
+
+        const option = (value, label, selected) =>
+            `<option value="${this.escapeHtml(value)}"${selected ? ' selected' : ''}>${this.escapeHtml(label)}</option>`;
+        categorySelect.innerHTML = this.renderNotebookOptions(this.getNotebookOptions(), view.categories);
+        // Keep tags the folder already uses even if no note carries them right now
+        const tags = new Set([...this.allTags, ...view.tags]);
+        tagSelect.innerHTML = Array.from(tags).sort()
+            .map(tag => option(tag, `#${tag}`, view.tags.includes(tag))).join('');
+        tagModeSelect.value = view.tagMode;
+
+        nameInput.value = view.name;
+        queryInput.value = view.query;
+        sortSelect.value = view.sortBy;
+
+        modal.classList.remove('hidden');
+        nameInput.focus();
+    }
+
+    saveSmartFolder() {
+        const nameInput = document.getElementById('smart-folder-name');
+        const queryInput = document.getElementById('smart-folder-query');
+        const filterSelect = document.getElementById('smart-folder-filter');
+        const categorySelect = document.getElementById('smart-folder-categories');
+        const tagSelect = document.getElementById('smart-folder-tags');
+        const tagModeSelect = document.getElementById('smart-folder-tag-mode');
+        const sortSelect = document.getElementById('smart-folder-sort');
+        if (!nameInput || !queryInput || !filterSelect || !categorySelect || !tagSelect || !tagModeSelect || !sortSelect) return;
+
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showToast('Smart folder name is required', 'error');
+            return;
+        }
+        if (this.smartFolders.some(f => f.id !== this.editingSmartFolderId && f.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast('A smart folder with that name already exists', 'error');
+            return;
+        }
+
+        const selected = select => Array.from(select.selectedOptions).map(option => option.value);
+        const folder = {
+            id: this.editingSmartFolderId || this.generateId(),
+            name,
+            query: queryInput.value.trim(),
+            filter: filterSelect.value,
+            categories: selected(categorySelect),
+            tags: selected(tagSelect),
+            tagMode: tagModeSelect.value === 'all' ? 'all' : 'any',
+            sortBy: sortSelect.value
+        };
+
+        const index = this.smartFolders.findIndex(f => f.id === folder.id);
+        if (index >= 0) {
+            this.smartFolders[index] = folder;
         } else {
-            this.notes.push(this.currentNote);
+            this.smartFolders.push(folder);
         }
-        
+
         this.saveUserData();
-        this.renderNotes();
-        this.updateNavigationCounts();
-        this.closeNoteModal();
-        
-        this.showToast('Note saved successfully', 'success');
-        
-        // Update masonry layout
-        setTimeout(() => this.updateMasonryLayout(), 100);
+        this.closeSmartFolderModal();
+        this.openSmartFolder(folder.id);
+        this.showToast(index >= 0 ? 'Smart folder updated' : 'Smart folder saved', 'success');
     }
 
-    deleteCurrentNote() {
-        if (!this.currentNote) return;
-        
-        if (confirm('Are you sure you want to delete this note?')) {
-            this.notes = this.notes.filter(n => n.id !== this.currentNote.id);
-            this.saveUserData();
-            this.renderNotes();
-            this.updateNavigationCounts();
-            this.closeNoteModal();
-            this.showToast('Note deleted', 'success');
-            
-            // Update masonry layout
-            setTimeout(() => this.updateMasonryLayout(), 100);
-        }
+    closeSmartFolderModal() {
+        const modal = document.getElementById('smart-folder-modal');
+        if (modal) modal.classList.add('hidden');
+        this.editingSmartFolderId = null;
     }
 
-    duplicateNote(noteId) {
-        const original = this.notes.find(n => n.id === noteId);
-        if (original) {
-            const duplicate = {
-                ...original,
-                id: this.generateId(),
-                title: `${original.title} (Copy)`,
-                createdAt: new Date().toISOString(),
-                modifiedAt: new Date().toISOString()
-            };
-            
-            this.notes.push(duplicate);
-            this.saveUserData();
-            this.renderNotes();
-            this.showToast('Note duplicated', 'success');
-            
-            // Update masonry layout
-            setTimeout(() => this.updateMasonryLayout(), 100);
-        }
-    }
+    deleteSmartFolder(folderId) {
+        const folder = this.smartFolders.find(f => f.id === folderId);
+        if (!folder || !confirm(`Delete the smart folder "${folder.name}"? Notes in it are not affected.`)) return;
 
-    toggleNotePinned(noteId) {
-        const note = this.notes.find(n => n.id === noteId);
-        if (note) {
-            note.isPinned = !note.isPinned;
-            note.modifiedAt = new Date().toISOString();
-            this.saveUserData();
-            this.renderNotes();
-            this.updateNavigationCounts();
-        }
+        this.smartFolders = this.smartFolders.filter(f => f.id !== folderId);
+        this.saveUserData();
+        this.renderSmartFolders();
+        this.showToast('Smart folder deleted', 'success');
     }
 
-    toggleNoteFavorite(noteId) {
-        const note = this.notes.find(n => n.id === noteId);
-        if (note) {
-            note.isFavorite = !note.isFavorite;
-            note.modifiedAt = new Date().toISOString();
-            this.saveUserData();
-            this.renderNotes();
-            this.updateNavigationCounts();
-        }
+    moveSmartFolder(folderId, toIndex) {
+        const fromIndex = this.smartFolders.findIndex(f => f.id === folderId);
+        if (fromIndex < 0 || toIndex < 0 || toIndex >= this.smartFolders.length || toIndex === fromIndex) return;
+
+        const [folder] = this.smartFolders.splice(fromIndex, 1);
+        this.smartFolders.splice(toIndex, 0, folder);
+        this.saveUserData();
+        this.renderSmartFolders();
+
+        const item = document.querySelector(`.smart-folder-item[data-folder-id="${folderId}"]`);
+        if (item) item.focus();
     }
 
-    // ===== NOTE RENDERING WITH MASONRY =====
-    renderNotes() {
-        const container = document.getElementById('notes-grid');
-        const emptyState = document.getElementById('empty-state');
-        
-        if (!container || !emptyState) return;
-        
-        let filteredNotes = this.getFilteredNotes();
-        
-        if (filteredNotes.length === 0) {
-            container.innerHTML = '';
-            emptyState.classList.remove('hidden');
-            return;
-        }
-        
-        emptyState.classList.add('hidden');
-        
-        // Sort notes
-        filteredNotes = this.sortNotes(filteredNotes);
-        
-        container.innerHTML = filteredNotes.map(note => this.createNoteCard(note)).join('');
-        
-        // Add event listeners to note cards
-        container.querySelectorAll('.note-card').forEach(card => {
-            const noteId = card.dataset.noteId;
-            
-            card.addEventListener('click', (e) => {
-                if (!e.target.closest('.note-action')) {
-                    this.editNote(noteId);
-                }
-            });
+    // Drag an item onto another to take its place; Alt+Up/Down does the same
+    // from the keyboard and Enter activates it. The list re-renders after
+    // every move.
+    setupSortableList(list, { selector, idOf, indexOf, move, activate }) {
+        let draggedId = null;
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest(selector);
+            if (!item) return;
+            draggedId = idOf(item);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+            item.classList.add('dragging');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const item = e.target.closest(selector);
+            if (!draggedId || !item) return;
+            e.preventDefault();
+            list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            if (idOf(item) !== draggedId) item.classList.add('drop-target');
+        });
+
+        list.addEventListener('drop', (e) => {
+            const item = e.target.closest(selector);
+            if (!draggedId || !item) return;
+            e.preventDefault();
+            move(draggedId, indexOf(idOf(item)));
+        });
+
+        list.addEventListener('dragend', () => {
+            draggedId = null;
+            list.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        });
+
+        list.addEventListener('keydown', (e) => {
+            const item = e.target.closest(selector);
+            if (!item || e.target !== item) return;
+
+            const id = idOf(item);
+            if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                move(id, indexOf(id) + (e.key === 'ArrowUp' ? -1 : 1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                activate(id);
+            }
         });
-        
-        // Initialize icons
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
-        }
-        
-        // Update masonry layout after render
-        setTimeout(() => this.updateMasonryLayout(), 50);
     }
 
-    getFilteredNotes() {
-        let filtered = [...this.notes];
+    // ===== NAVIGATION COUNTS =====
+    updateNavigationCounts() {
+        const allCountEl = document.getElementById('all-count');
+        const pinnedCountEl = document.getElementById('pinned-count');
+        const favoritesCountEl = document.getElementById('favorites-count');
+        const recentCountEl = document.getElementById('recent-count');
+        const tasksCountEl = document.getElementById('tasks-count');
+        const upcomingCountEl = document.getElementById('upcoming-count');
+        const overdueCountEl = document.getElementById('overdue-count');
+        const trashCountEl = document.getElementById('trash-count');
+        const activeNotes = this.getActiveNotes();
         
-        // Apply search filter
-        if (this.searchQuery) {
-            filtered = filtered.filter(note => 
-                note.title.toLowerCase().includes(this.searchQuery) ||
-                note.plainText.toLowerCase().includes(this.searchQuery) ||
-                note.tags.some(tag => tag.toLowerCase().includes(this.searchQuery))
-            );
+        if (allCountEl) allCountEl.textContent = activeNotes.length;
+        if (pinnedCountEl) {
+            pinnedCountEl.textContent = activeNotes.filter(note => note.isPinned).length;
         }
-        
-        // Apply category/tag/special filters
-        switch (this.activeFilter) {
-            case 'pinned':
-                filtered = filtered.filter(note => note.isPinned);
-                break;
-            case 'favorites':
-                filtered = filtered.filter(note => note.isFavorite);
-                break;
-            case 'recent':
-                filtered = filtered.filter(note => {
-                    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-                    return new Date(note.modifiedAt) > dayAgo;
-                });
-                break;
-            case 'category':
-                if (this.activeCategory) {
-                    filtered = filtered.filter(note => note.category === this.activeCategory);
-                }
-                break;
-            case 'tag':
-                if (this.activeTag) {
-                    filtered = filtered.filter(note => note.tags.includes(this.activeTag));
-                }
-                break;
+        if (favoritesCountEl) {
+            favoritesCountEl.textContent = activeNotes.filter(note => note.isFavorite).length;
         }
-        
-        return filtered;
-    }
-
-    sortNotes(notes) {
-        return notes.sort((a, b) => {
-            switch (this.sortBy) {
-                case 'dateCreated':
-                    return new Date(b.createdAt) - new Date(a.createdAt);
-                case 'dateModified':
-                    return new Date(b.modifiedAt) - new Date(a.modifiedAt);
-                case 'title':
-                    return a.title.localeCompare(b.title);
-                case 'category':
-                    const aCat = this.categories.find(c => c.id === a.category)?.name || '';
-                    const bCat = this.categories.find(c => c.id === b.category)?.name || '';
-                    return aCat.localeCompare(bCat);
-                default:
-                    return new Date(b.modifiedAt) - new Date(a.modifiedAt);
+        if (recentCountEl) {
+            const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            recentCountEl.textContent = activeNotes.filter(note => new Date(note.modifiedAt) > dayAgo).length;
+        }
+        if (tasksCountEl) {
+            // Open items, not notes
+            tasksCountEl.textContent = activeNotes
+                .reduce((count, note) => count + this.getNoteTasks(note).filter(task => !task.checked).length, 0);
+        }
+        if (upcomingCountEl || overdueCountEl) {
+            const now = Date.now();
+            const states = activeNotes.map(note => this.getNoteDueState(note, now));
+            if (upcomingCountEl) upcomingCountEl.textContent = states.filter(state => state === 'upcoming').length;
+            if (overdueCountEl) {
+                const overdue = states.filter(state => state === 'overdue').length;
+                overdueCountEl.textContent = overdue;
+                overdueCountEl.classList.toggle('alert', overdue > 0);
             }
+        }
+        if (trashCountEl) {
+            trashCountEl.textContent = this.getTrashedNotes().length;
+        }
+
+        // Running every saved search is the costly part, so renderSmartFolders
+        // reads these instead of filtering on each render
+        this.smartFolderCounts = new Map(this.smartFolders.map(folder => [folder.id, this.filterNotes(folder).notes.length]));
+        document.querySelectorAll('.smart-folder-item').forEach(item => {
+            const countEl = item.querySelector('.smart-folder-count');
+            const count = this.smartFolderCounts.get(item.dataset.folderId);
+            if (countEl && count !== undefined) countEl.textContent = count;
         });
     }
 
-    createNoteCard(note) {
-        const category = this.categories.find(c => c.id === note.category);
-        const preview = this.stripHtml(note.content);
+    // ===== EXPORT/IMPORT =====
+    exportNotes(notes = this.notes) {
+        if (notes.length === 0) {
+            this.showToast('No notes to export', 'error');
+            return;
+        }
         
-        return `
-            <div class="note-card ${note.isPinned ? 'pinned' : ''}" data-note-id="${note.id}">
-                <div class="note-header">
-                    <h3 class="note-title">${this.escapeHtml(note.title)}</h3>
-                    <div class="note-actions">
-                        <button class="note-action ${note.isPinned ? 'active' : ''}" 
-                                onclick="app.toggleNotePinned('${note.id}')" 
-                                title="Pin note">
-                            <i data-lucide="pin" width="16" height="16"></i>
-                        </button>
-                        <button class="note-action ${note.isFavorite ? 'active' : ''}" 
-                                onclick="app.toggleNoteFavorite('${note.id}')" 
-                                title="Favorite">
-                            <i data-lucide="heart" width="16" height="16"></i>
-                        </button>
-                        <button class="note-action" 
-                                onclick="app.duplicateNote('${note.id}')" 
-                                title="Duplicate">
-                            <i data-lucide="copy" width="16" height="16"></i>
-                        </button>
-                    </div>
-                </div>
-                
-                <div class="note-content">${this.escapeHtml(preview)}</div>
-                
-                <div class="note-footer">
-                    <div class="note-metadata">
-                        ${category ? `
-                            <span class="note-category">
-                                <span class="category-color" style="background-color: ${category.color}"></span>
-                                ${category.name}
-                            </span>
-                        ` : ''}
-                        ${note.tags.length > 0 ? `
-                            <div class="note-tags">
-                                ${note.tags.slice(0, 5).map(tag => `<span class="note-tag">${this.escapeHtml(tag)}</span>`).join('')}
-                                ${note.tags.length > 5 ? `<span class="note-tag">+${note.tags.length - 5}</span>` : ''}
-                            </div>
-                        ` : ''}
-                    </div>
-                    <span class="note-date" title="${new Date(note.modifiedAt).toLocaleString()}">
-                        ${this.formatDate(note.modifiedAt)}
-                    </span>
-                </div>
-            </div>
-        `;
+        const dataStr = JSON.stringify(this.buildExportData(notes), null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        
+        this.downloadBlob(dataBlob, `private-vault-export-${new Date().toISOString().split('T')[0]}.json`);
+        
+        this.showToast('Notes exported successfully', 'success');
     }
 
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
+    buildExportData(notes) {
+        return {
+            notes: notes,
+            categories: this.categories,
+            tags: Array.from(this.allTags),
+            exportDate: new Date().toISOString(),
+            version: `${DATA_SCHEMA_VERSION}.0`
         };
-        return text.replace(/[&<>"']/g, m => map[m]);
     }
 
-    // ===== MODAL MANAGEMENT =====
-    showNoteModal(note) {
-        const modal = document.getElementById('note-modal');
-        const titleInput = document.getElementById('note-title-input');
-        
-        if (!modal || !titleInput) return;
-        
-        titleInput.value = note.title;
-        
-        // Update editor content
-        if (this.quillEditor) {
-            this.quillEditor.root.innerHTML = note.content;
+    async exportEncryptedBackup() {
+        if (this.notes.length === 0) {
+            this.showToast('No notes to export', 'error');
+            return;
         }
-        
-        // Update metadata
-        const createdEl = document.getElementById('note-created');
-        const modifiedEl = document.getElementById('note-modified');
-        
-        if (createdEl) {
-            createdEl.textContent = `Created: ${this.formatDate(note.createdAt)}`;
+
+        const passphrase = await this.requestBackupPassphrase({ confirm: true });
+        if (!passphrase) return;
+
+        try {
+            const envelope = await this.encryptBackup(this.buildExportData(this.notes), passphrase);
+            const dataBlob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+            this.downloadBlob(dataBlob, `private-vault-backup-${new Date().toISOString().split('T')[0]}.json`);
+            this.showToast('Encrypted backup exported', 'success');
+        } catch (error) {
+            console.error('Backup encryption error:', error);
+            this.showToast('Error creating encrypted backup', 'error');
+        }
+    }
+
+    async encryptBackup(data, passphrase) {
+        const header = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: this.generateSalt() },
+            cipher: {
+                name: 'AES-GCM',
+                iv: this.bufferToBase64(crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES))),
+                tagLength: 128
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        const key = await this.deriveVaultKey(passphrase, header.kdf.salt, header.kdf.iterations);
+        const sealed = new Uint8Array(await crypto.subtle.encrypt(
+            {
+                name: 'AES-GCM',
+                iv: this.base64ToBuffer(header.cipher.iv),
+                additionalData: this.encodeBackupHeader(header),
+                tagLength: header.cipher.tagLength
+            },
+            key,
+            new TextEncoder().encode(JSON.stringify(data))
+        ));
+
+        // Web Crypto appends the GCM tag to the ciphertext; the envelope keeps it separate
+        const tagBytes = header.cipher.tagLength / 8;
+        return {
+            ...header,
+            ciphertext: this.bufferToBase64(sealed.subarray(0, sealed.length - tagBytes)),
+            tag: this.bufferToBase64(sealed.subarray(sealed.length - tagBytes))
+        };
+    }
+
+    // A wrong passphrase and a modified file both reject with an OperationError
+    async decryptBackup(envelope, passphrase) {
+        if (envelope.version > BACKUP_FORMAT_VERSION) {
+            throw new Error('This backup was created by a newer version of Private Vault');
         }
-        if (modifiedEl) {
-            modifiedEl.textContent = `Modified: ${this.formatDate(note.modifiedAt)}`;
+        if (!envelope.kdf || envelope.kdf.name !== 'PBKDF2' || envelope.kdf.hash !== 'SHA-256' ||
+            !envelope.cipher || envelope.cipher.name !== 'AES-GCM' ||
+            typeof envelope.ciphertext !== 'string' || typeof envelope.tag !== 'string') {
+            throw new Error('Unsupported backup format');
         }
-        
-        this.updateWordCount();
-        this.updateCategoryDisplay(note.category);
-        this.updateTagsDisplay(note.tags);
-        
-        modal.classList.remove('hidden');
-        titleInput.focus();
-        
-        // Initialize icons
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
+        const { iterations, salt } = envelope.kdf;
+        if (!Number.isInteger(iterations) || iterations < BACKUP_MIN_KDF_ITERATIONS ||
+            iterations > BACKUP_MAX_KDF_ITERATIONS ||
+            typeof salt !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(salt) ||
+            typeof envelope.cipher.iv !== 'string') {
+            throw new Error('Unsupported backup format');
         }
+
+        const key = await this.deriveVaultKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+        const ciphertext = this.base64ToBuffer(envelope.ciphertext);
+        const tag = this.base64ToBuffer(envelope.tag);
+        const sealed = new Uint8Array(ciphertext.length + tag.length);
+        sealed.set(ciphertext);
+        sealed.set(tag, ciphertext.length);
+
+        const plaintext = await crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: this.base64ToBuffer(envelope.cipher.iv),
+                additionalData: this.encodeBackupHeader(envelope),
+                tagLength: envelope.cipher.tagLength
+            },
+            key,
+            sealed
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
     }
 
-    // FIXED: Category selection functionality
-    updateCategoryDisplay(categoryId) {
-        const currentCategoryEl = document.getElementById('current-category');
-        if (!currentCategoryEl) return;
-        
-        if (categoryId) {
-            const category = this.categories.find(c => c.id === categoryId);
-            if (category) {
-                currentCategoryEl.textContent = category.name;
-            } else {
-                currentCategoryEl.textContent = 'No Category';
+    // Fixed field order, so the additional data doesn't depend on key order in the file
+    encodeBackupHeader(header) {
+        return new TextEncoder().encode(JSON.stringify([
+            header.format,
+            header.version,
+            header.kdf.name,
+            header.kdf.hash,
+            header.kdf.iterations,
+            header.kdf.salt,
+            header.cipher.name,
+            header.cipher.iv,
+            header.cipher.tagLength,
+            header.createdAt
+        ]));
+    }
+
+    isBackupEnvelope(data) {
+        return !!data && data.format === BACKUP_FORMAT;
+    }
+
+    // Prompts until the passphrase opens the backup; resolves null if cancelled
+    async openBackupEnvelope(envelope) {
+        for (;;) {
+            const passphrase = await this.requestBackupPassphrase({ confirm: false });
+            if (!passphrase) return null;
+
+            try {
+                return await this.decryptBackup(envelope, passphrase);
+            } catch (error) {
+                if (error.name !== 'OperationError') throw error;
+                this.showToast('Wrong passphrase, or the backup file has been modified', 'error');
             }
-        } else {
-            currentCategoryEl.textContent = 'No Category';
         }
     }
 
-    // FIXED: Tags display functionality
-    updateTagsDisplay(tags) {
-        const currentTagsEl = document.getElementById('current-tags');
-        if (!currentTagsEl) return;
-        
-        if (tags && tags.length > 0) {
-            currentTagsEl.textContent = `${tags.length} tag${tags.length === 1 ? '' : 's'}`;
-        } else {
-            currentTagsEl.textContent = 'No tags';
+    requestBackupPassphrase({ confirm }) {
+        const modal = document.getElementById('backup-passphrase-modal');
+        const title = document.getElementById('backup-passphrase-title');
+        const input = document.getElementById('backup-passphrase-input');
+        const confirmGroup = document.getElementById('backup-passphrase-confirm-group');
+        const hint = document.getElementById('backup-passphrase-hint');
+        if (!modal || !input) return Promise.resolve(null);
+
+        this.closeBackupPassphraseModal();
+
+        if (title) title.textContent = confirm ? 'Encrypt Backup' : 'Unlock Backup';
+        if (hint) {
+            hint.textContent = confirm
+                ? `Choose a passphrase of at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters. It cannot be recovered if lost.`
+                : 'Enter the passphrase this backup was encrypted with.';
         }
-    }
+        if (confirmGroup) confirmGroup.classList.toggle('hidden', !confirm);
+        modal.dataset.confirm = confirm ? 'true' : 'false';
+        modal.classList.remove('hidden');
+        input.focus();
 
-    showCategorySelectModal() {
-        const modal = document.getElementById('category-select-modal');
-        const listContainer = document.getElementById('category-select-list');
-        
-        if (!modal || !listContainer) return;
-        
-        // Build category selection list
-        let html = `
-            <div class="category-select-item no-category ${!this.currentNote.category ? 'active' : ''}" 
-                 onclick="app.selectNoteCategory(null)">
-                <span>No Category</span>
-            </div>
-        `;
-        
-        this.categories.forEach(category => {
-            html += `
-                <div class="category-select-item ${this.currentNote.category === category.id ? 'active' : ''}" 
-                     onclick="app.selectNoteCategory('${category.id}')">
-                    <span class="category-color" style="background-color: ${category.color}"></span>
-                    <span>${this.escapeHtml(category.name)}</span>
-                </div>
-            `;
+        return new Promise(resolve => {
+            this.passphraseRequest = resolve;
         });
-        
-        listContainer.innerHTML = html;
-        modal.classList.remove('hidden');
     }
 
-    selectNoteCategory(categoryId) {
-        if (this.currentNote) {
-            this.currentNote.category = categoryId;
-            this.updateCategoryDisplay(categoryId);
+    submitBackupPassphrase() {
+        const modal = document.getElementById('backup-passphrase-modal');
+        const input = document.getElementById('backup-passphrase-input');
+        const confirmInput = document.getElementById('backup-passphrase-confirm');
+        if (!modal || !input || !this.passphraseRequest) return;
+
+        const passphrase = input.value;
+        if (modal.dataset.confirm === 'true') {
+            if (passphrase.length < BACKUP_MIN_PASSPHRASE_LENGTH) {
+                this.showToast(`Passphrase must be at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters`, 'error');
+                return;
+            }
+            if (!confirmInput || confirmInput.value !== passphrase) {
+                this.showToast('Passphrases do not match', 'error');
+                return;
+            }
+        } else if (!passphrase) {
+            this.showToast('Passphrase is required', 'error');
+            return;
         }
-        this.closeCategorySelectModal();
+
+        const resolve = this.passphraseRequest;
+        this.passphraseRequest = null;
+        this.closeBackupPassphraseModal();
+        resolve(passphrase);
     }
 
-    closeCategorySelectModal() {
-        const modal = document.getElementById('category-select-modal');
-        if (modal) {
-            modal.classList.add('hidden');
+    // Clears the fields so the passphrase doesn't linger in the DOM
+    closeBackupPassphraseModal() {
+        const modal = document.getElementById('backup-passphrase-modal');
+        const input = document.getElementById('backup-passphrase-input');
+        const confirmInput = document.getElementById('backup-passphrase-confirm');
+        if (modal) modal.classList.add('hidden');
+        if (input) input.value = '';
+        if (confirmInput) confirmInput.value = '';
+
+        if (this.passphraseRequest) {
+            const resolve = this.passphraseRequest;
+            this.passphraseRequest = null;
+            resolve(null);
         }
     }
 
-    // ===== COMPLETE TAGS MANAGEMENT SYSTEM =====
-    
-    // Extract all unique tags from notes
-    extractAllTags() {
-        this.allTags.clear();
-        this.notes.forEach(note => {
-            if (note.tags && Array.isArray(note.tags)) {
-                note.tags.forEach(tag => this.allTags.add(tag));
-            }
-        });
-        
-        // Also add any standalone tags
-        if (this.tags && Array.isArray(this.tags)) {
-            this.tags.forEach(tag => this.allTags.add(tag));
+    // Whole vault as a zip with one .md file per note inside a dated folder
+    exportMarkdownArchive(notes = this.getActiveNotes()) {
+        if (notes.length === 0) {
+            this.showToast('No notes to export', 'error');
+            return;
         }
+
+        const folder = `private-vault-export-${new Date().toISOString().split('T')[0]}`;
+        const usedNames = new Set();
+        const files = notes.map(note => ({
+            name: `${folder}/${this.getMarkdownFileName(note, usedNames)}`,
+            data: this.noteToMarkdown(note),
+            date: note.modifiedAt
+        }));
+
+        this.downloadBlob(ZipArchive.create(files), `${folder}.zip`);
+        this.showToast(`Exported ${notes.length} note${notes.length === 1 ? '' : 's'} as Markdown`, 'success');
     }
 
-    // Show tags management modal for current note
-    showTagsModal() {
+    exportCurrentNoteAsMarkdown() {
         if (!this.currentNote) return;
-        
-        const modal = document.getElementById('tags-modal');
-        const tagInput = document.getElementById('tag-input');
-        
-        if (!modal || !tagInput) return;
-        
-        // Clear input
-        tagInput.value = '';
-        
-        // Update displays
-        this.updateCurrentTagsDisplay();
-        this.updateAvailableTagsDisplay();
-        
-        modal.classList.remove('hidden');
-        tagInput.focus();
+
+        const titleInput = document.getElementById('note-title-input');
+        const note = {
+            ...this.currentNote,
+            title: titleInput ? titleInput.value.trim() : this.currentNote.title,
+            content: this.quillEditor ? this.quillEditor.root.innerHTML : this.currentNote.content
+        };
+
+        const blob = new Blob([this.noteToMarkdown(note)], { type: 'text/markdown' });
+        this.downloadBlob(blob, this.getMarkdownFileName(note));
+        this.showToast('Note exported as Markdown', 'success');
     }
 
-    // Update current note tags display
-    updateCurrentTagsDisplay() {
-        const container = document.getElementById('current-tags-display');
-        if (!container || !this.currentNote) return;
-        
-        container.innerHTML = '';
-        
-        if (this.currentNote.tags && this.currentNote.tags.length > 0) {
-            this.currentNote.tags.forEach(tag => {
-                const tagChip = this.createTagChip(tag, true, () => this.removeTagFromNote(tag));
-                container.appendChild(tagChip);
-            });
-        } else {
-            container.innerHTML = '<span style="color: var(--text-muted); font-style: italic;">No tags added</span>';
+    noteToMarkdown(note) {
+        const category = this.categories.find(c => c.id === note.category);
+        const frontMatter = MarkdownConverter.serializeFrontMatter({
+            title: note.title || '',
+            category: category ? category.name : undefined,
+            tags: note.tags || [],
+            pinned: !!note.isPinned,
+            favorite: !!note.isFavorite,
+            created: note.createdAt,
+            modified: note.modifiedAt,
+            due: note.dueAt || undefined,
+            color: this.getNoteColor(note) || undefined
+        });
+        return `${frontMatter}\n${MarkdownConverter.fromHtml(note.content)}\n`;
+    }
+
+    // Builds a note from a Markdown file; categories named in the front
+    // matter are matched by name, and unknown ones are added to newCategories.
+    markdownToNote(text, fileName, newCategories = []) {
+        const { fields, body: markdown } = MarkdownConverter.parseFrontMatter(text);
+        let body = markdown;
+
+        // Files without a title field usually open with a "# Title" line
+        let title = typeof fields.title === 'string' ? fields.title : null;
+        const headingMatch = body.match(/^\s*#\s+(.+?)\s*#*\s*(?:\n|$)/);
+        if (title === null && headingMatch) {
+            title = headingMatch[1].replace(/\\([!-/:-@[-`{-~])/g, '$1');
+            body = body.slice(headingMatch[0].length);
+        }
+
+        const content = MarkdownConverter.toHtml(body);
+        const now = new Date().toISOString();
+        const validDate = (value) => value && !isNaN(new Date(value)) ? new Date(value).toISOString() : null;
+        const fallbackTitle = fileName.split('/').pop().replace(/\.(md|markdown|txt)$/i, '');
+
+        let categoryId = null;
+        if (typeof fields.category === 'string' && fields.category.trim()) {
+            const name = fields.category.trim();
+            let category = [...this.categories, ...newCategories].find(c => c.name.toLowerCase() === name.toLowerCase());
+            if (!category) {
+                category = { id: this.generateId(), name: name, color: '#3b82f6', parentId: null };
+                newCategories.push(category);
+            }
+            categoryId = category.id;
         }
+
+        // Tags the tag input would refuse (too deep, too long) are left out
+        const tags = (Array.isArray(fields.tags) ? fields.tags : [fields.tags])
+            .filter(tag => typeof tag === 'string')
+            .map(tag => this.parseTag(tag).tag)
+            .filter(Boolean);
+
+        const createdAt = validDate(fields.created) || now;
+        return {
+            id: this.generateId(),
+            title: title === null ? fallbackTitle : title,
+            content: content,
+            plainText: MarkdownConverter.toPlainText(content),
+            category: categoryId,
+            tags: [...new Set(tags)],
+            isPinned: fields.pinned === true,
+            isFavorite: fields.favorite === true,
+            // Palette names ("red") are accepted as well as #rrggbb
+            color: (typeof fields.color === 'string' && SearchQuery.parseColor(fields.color.trim())) || NOTE_DEFAULT_COLOR,
+            createdAt: createdAt,
+            modifiedAt: validDate(fields.modified) || createdAt,
+            deletedAt: null,
+            dueAt: validDate(fields.due),
+            remindedAt: null
+        };
     }
 
-    // Update available tags display
-    updateAvailableTagsDisplay() {
-        const container = document.getElementById('available-tags-display');
-        if (!container) return;
-        
-        container.innerHTML = '';
-        
-        const availableTags = Array.from(this.allTags).filter(tag => 
-            !this.currentNote.tags || !this.currentNote.tags.includes(tag)
-        );
-        
-        if (availableTags.length > 0) {
-            availableTags.forEach(tag => {
-                const tagChip = this.createTagChip(tag, false, () => this.addTagToNote(tag));
-                container.appendChild(tagChip);
-            });
-        } else {
-            container.innerHTML = '<span style="color: var(--text-muted); font-style: italic;">No available tags</span>';
+    // Plain text keeps its lines as-is; the first non-empty line is the title
+    textToNote(text, fileName) {
+        const lines = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        const titleIndex = lines.findIndex(line => line.trim());
+        const body = lines.slice(titleIndex + 1);
+        while (body.length && !body[0].trim()) body.shift();
+        while (body.length && !body[body.length - 1].trim()) body.pop();
+
+        const content = body.map(line => `<p>${this.escapeHtml(line) || '<br>'}</p>`).join('');
+        const now = new Date().toISOString();
+        return {
+            id: this.generateId(),
+            title: titleIndex >= 0 ? lines[titleIndex].trim().slice(0, 200) : fileName.split('/').pop().replace(/\.txt$/i, ''),
+            content: content,
+            plainText: body.join('\n').trim(),
+            category: null,
+            tags: [],
+            isPinned: false,
+            isFavorite: false,
+            color: '#ffffff',
+            createdAt: now,
+            modifiedAt: now,
+            deletedAt: null,
+            dueAt: null,
+            remindedAt: null
+        };
+    }
+
+    fileToNote(text, fileName, newCategories = []) {
+        return /\.txt$/i.test(fileName)
+            ? this.textToNote(text, fileName)
+            : this.markdownToNote(text, fileName, newCategories);
+    }
+
+    getMarkdownFileName(note, usedNames = new Set()) {
+        const base = (note.title || 'Untitled')
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 80) || 'Untitled';
+
+        let name = `${base}.md`;
+        for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+            name = `${base} (${n}).md`;
         }
+        usedNames.add(name.toLowerCase());
+        return name;
     }
 
-    // Create a tag chip element
-    createTagChip(tag, removable = false, onClick = null) {
-        const chip = document.createElement('div');
-        chip.className = `tag-chip ${removable ? 'removable' : 'available'}`;
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    importNotes() {
+        const fileInput = document.getElementById('file-input');
+        if (fileInput) {
+            fileInput.click();
+        }
+    }
+
+    // Files are only read here; nothing is merged until the preview is confirmed
+    async handleFileImport(event) {
+        const files = Array.from(event.target.files || []);
+        event.target.value = ''; // Clear file input
+        await this.importFiles(files);
+    }
+
+    async importFiles(files) {
+        if (files.length === 0) return;
         
-        if (removable) {
-            chip.innerHTML = `
-                <span>${this.escapeHtml(tag)}</span>
-                <span class="tag-remove">×</span>
-            `;
-        } else {
-            chip.innerHTML = `<span>${this.escapeHtml(tag)}</span>`;
+        const payload = { notes: [], categories: [], tags: [], rejected: [] };
+        for (const file of files) {
+            try {
+                const data = await this.readImportFile(file, payload.categories);
+                if (!data) continue;
+                payload.notes.push(...data.notes);
+                payload.categories.push(...data.categories.filter(category => !payload.categories.includes(category)));
+                payload.tags.push(...data.tags);
+                payload.rejected.push(...(data.rejected || []).map(item => ({ ...item, label: `${file.name}: ${item.label}` })));
+            } catch (error) {
+                console.error('Import error:', error);
+                this.showToast(`Error importing ${file.name}`, 'error');
+            }
         }
         
-        if (onClick) {
-            chip.addEventListener('click', onClick);
+        if (payload.notes.length === 0 && payload.categories.length === 0 && payload.rejected.length === 0) return;
+        
+        this.pendingImport = this.buildImportPlan(payload);
+        this.showImportModal();
+    }
+
+    // Resolves to { notes, categories, tags } or null if the file was skipped.
+    // Categories named in Markdown front matter are collected in newCategories
+    // so several files naming the same new category share one.
+    async readImportFile(file, newCategories = []) {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.zip')) {
+            const entries = await ZipArchive.read(file);
+            const decoder = new TextDecoder();
+            const notes = entries
+                .filter(entry => /\.(md|markdown|txt)$/i.test(entry.name) && !entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+                .map(entry => this.fileToNote(decoder.decode(entry.data), entry.name, newCategories));
+            return { notes, categories: newCategories, tags: [] };
+        }
+
+        if (/\.(md|markdown|txt)$/.test(name)) {
+            const note = this.fileToNote(await file.text(), file.name, newCategories);
+            return { notes: [note], categories: newCategories, tags: [] };
+        }
+
+        let importData = JSON.parse(await file.text());
+        if (this.isBackupEnvelope(importData)) {
+            importData = await this.openBackupEnvelope(importData);
+            if (!importData) return null;
+        }
+
+        if (!importData || !Array.isArray(importData.notes)) {
+            this.showToast('Invalid file format', 'error');
+            return null;
         }
         
-        return chip;
+        return DataSchema.upgrade(importData, importData.version);
+    }
+
+    // ===== IMPORT PREVIEW =====
+    // Every incoming note and category is classified as new, identical or
+    // conflicting. Conflicts carry a resolution the user can change per item:
+    // 'mine', 'theirs', 'both' or, for notes, 'newest' by modifiedAt.
+    // Categories have no timestamps, so they default to 'mine'.
+    buildImportPlan(payload) {
+        const incomingCategories = new Map();
+        payload.categories.forEach(incoming => {
+            if (incoming && incoming.id && !incomingCategories.has(incoming.id)) incomingCategories.set(incoming.id, incoming);
+        });
+
+        // Names only clash between siblings, so each notebook is compared with
+        // the children of the parent it lands under: an imported parent that
+        // matches one of ours stands for that notebook. Parents are planned
+        // first; `visiting` breaks parent cycles in damaged data.
+        const planned = new Map();
+        const planCategory = (incoming, visiting = new Set()) => {
+            if (planned.has(incoming.id)) return planned.get(incoming.id);
+            visiting.add(incoming.id);
+
+            let parentId = incoming.parentId || null;
+            const incomingParent = incomingCategories.get(parentId);
+            if (incomingParent && !visiting.has(parentId)) {
+                const parentPlan = planCategory(incomingParent, visiting);
+                if (parentPlan.existing) parentId = parentPlan.existing.id;
+            } else if (!this.categories.some(c => c.id === parentId)) {
+                parentId = null;
+            }
+
+            const sameId = this.categories.find(c => c.id === incoming.id);
+            const sameName = this.getNotebookChildren(parentId)
+                .find(c => c.name.toLowerCase() === String(incoming.name).toLowerCase());
+            const existing = sameId || sameName;
+
+            let status = 'new';
+            if (sameId) {
+                const unchanged = sameId.name === incoming.name && sameId.color === incoming.color &&
+                    (sameId.parentId || null) === parentId;
+                status = unchanged ? 'identical' : 'conflict';
+            } else if (sameName) {
+                status = 'conflict';
+            }
+            const plan = { status, incoming, existing, sameName: !sameId && !!sameName, resolution: 'mine' };
+            planned.set(incoming.id, plan);
+            return plan;
+        };
+        const categories = Array.from(incomingCategories.values()).map(incoming => planCategory(incoming));
+
+        // Later copies of the same id within one import replace earlier ones
+        const incomingNotes = new Map();
+        payload.notes.forEach(note => {
+            if (note && note.id) incomingNotes.set(note.id, note);
+        });
+
+        // Each of our notes answers to one imported note at most: id matches
+        // claim theirs first, then the rest are matched by title and content.
+        // Anything left over is imported as new rather than overwrite twice.
+        const claimed = new Set(this.notes
+            .filter(note => incomingNotes.has(note.id))
+            .map(note => note.id));
+        const notes = Array.from(incomingNotes.values()).map(incoming => {
+            let existing = this.notes.find(n => n.id === incoming.id);
+            if (!existing) {
+                existing = this.notes.find(n => !claimed.has(n.id) && n.title === incoming.title && n.content === incoming.content);
+                if (existing) claimed.add(existing.id);
+            }
+
+            let status = 'new';
+            if (existing) {
+                status = this.notesMatch(existing, incoming) ? 'identical' : 'conflict';
+            }
+            return { status, incoming, existing, resolution: 'newest' };
+        });
+
+        return { notes, categories, tags: payload.tags, rejected: payload.rejected };
+    }
+
+    notesMatch(a, b) {
+        const fields = ['title', 'content', 'category', 'isPinned', 'isFavorite', 'color', 'dueAt'];
+        return fields.every(field => (a[field] || null) === (b[field] || null)) &&
+            JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []) &&
+            !a.deletedAt === !b.deletedAt;
+    }
+
+    showImportModal() {
+        const modal = document.getElementById('import-modal');
+        const strategySelect = document.getElementById('import-conflict-strategy');
+        if (!modal || !this.pendingImport) return;
+
+        if (strategySelect) strategySelect.value = 'newest';
+        this.renderImportPlan();
+        modal.classList.remove('hidden');
+    }
+
+    renderImportPlan() {
+        const summaryEl = document.getElementById('import-summary');
+        const itemsEl = document.getElementById('import-items');
+        const strategyGroup = document.getElementById('import-strategy-group');
+        const plan = this.pendingImport;
+        if (!plan || !itemsEl) return;
+
+        const count = (items, status) => items.filter(item => item.status === status).length;
+        const describe = (items, singular, plural) =>
+            `${items.length} ${items.length === 1 ? singular : plural}: ${count(items, 'new')} new, ${count(items, 'identical')} identical, ${count(items, 'conflict')} conflicting`;
+
+        if (summaryEl) {
+            summaryEl.textContent = [
+                plan.notes.length ? describe(plan.notes, 'note', 'notes') : '',
+                plan.categories.length ? describe(plan.categories, 'notebook', 'notebooks') : '',
+                plan.rejected.length ? `${plan.rejected.length} rejected` : ''
+            ].filter(Boolean).join(' · ');
+        }
+
+        const hasConflicts = plan.notes.some(item => item.status === 'conflict') ||
+            plan.categories.some(item => item.status === 'conflict');
+        if (strategyGroup) strategyGroup.classList.toggle('hidden', !hasConflicts);
+
+        const statusLabels = { new: 'New', identical: 'Identical', conflict: 'Conflict' };
+        const order = { conflict: 0, new: 1, identical: 2 };
+        const renderItems = (kind, items) => items
+            .map((item, index) => ({ item, index }))
+            .sort((a, b) => order[a.item.status] - order[b.item.status])
+            .map(({ item, index }) => {
+                const isNote = kind === 'notes';
+                const name = isNote ? (item.incoming.title || 'Untitled') : item.incoming.name;
+                let detail = '';
+                if (item.status === 'conflict' && isNote) {
+                    detail = `Yours: ${this.formatDate(item.existing.modifiedAt)} · Imported: ${this.formatDate(item.incoming.modifiedAt)}`;
+                } else if (item.status === 'conflict') {
+                    detail = item.sameName
+                        ? `Same name as your "${item.existing.name}" notebook`
+                        : `Yours is named "${item.existing.name}"`;
+                }
+
+                const choices = [
+                    ...(isNote ? [['newest', 'Newest wins']] : []),
+                    ['mine', 'Keep mine'],
+                    ['theirs', 'Take theirs'],
+                    ['both', 'Keep both']
+                ];
+
+                return `
+                    <div class="import-item ${item.status}">
+                        <span class="import-status">${statusLabels[item.status]}</span>
+                        <div class="import-item-info">
+                            <span class="import-item-name">${this.escapeHtml(name)}</span>
+                            ${detail ? `<span class="import-item-detail">${this.escapeHtml(detail)}</span>` : ''}
+                        </div>
+                        ${item.status === 'conflict' ? `
+                            <select class="import-resolution" onchange="app.setImportResolution('${kind}', ${index}, this.value)">
+                                ${choices.map(([value, label]) => `<option value="${value}" ${item.resolution === value ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+        itemsEl.innerHTML = `
+            ${plan.notes.length ? `<h4>Notes</h4>${renderItems('notes', plan.notes)}` : ''}
+            ${plan.categories.length ? `<h4>Notebooks</h4>${renderItems('categories', plan.categories)}` : ''}
+            ${plan.rejected.length ? `
+                <h4>Rejected (will not be imported)</h4>
+                ${plan.rejected.map(({ label, errors }) => `
+                    <div class="import-item rejected">
+                        <span class="import-status">Rejected</span>
+                        <div class="import-item-info">
+                            <span class="import-item-name">${this.escapeHtml(label)}</span>
+                            <span class="import-item-detail">${this.escapeHtml(errors.join(', '))}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            ` : ''}
+        `;
+    }
+
+    setImportResolution(kind, index, resolution) {
+        if (!this.pendingImport || !this.pendingImport[kind][index]) return;
+        this.pendingImport[kind][index].resolution = resolution;
+    }
+
+    applyImportStrategy(resolution) {
+        if (!this.pendingImport) return;
+        this.pendingImport.notes
+            .filter(item => item.status === 'conflict')
+            .forEach(item => {
+                item.resolution = resolution;
+            });
+        this.pendingImport.categories
+            .filter(item => item.status === 'conflict')
+            .forEach(item => {
+                item.resolution = resolution === 'newest' ? 'mine' : resolution;
+            });
+        this.renderImportPlan();
     }
 
-    // Add tag from input field
-    addTagFromInput() {
-        const tagInput = document.getElementById('tag-input');
-        if (!tagInput) return;
-        
-        const input = tagInput.value.trim();
-        if (!input) return;
-        
-        // Split by comma and add each tag
-        const tags = input.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-        
-        tags.forEach(tag => {
-            if (tag.length > 20) {
-                this.showToast(`Tag "${tag}" is too long (max 20 characters)`, 'error');
+    applyImport() {
+        const plan = this.pendingImport;
+        if (!plan) return;
+
+        const summary = { added: 0, updated: 0, copied: 0, skipped: 0, categories: 0 };
+        const categoryIdMap = new Map(); // incoming category id -> id used in this vault
+        const addedCategories = [];
+        const movedCategories = []; // [category, incoming parent id] taken from "theirs"
+
+        plan.categories.forEach(({ status, incoming, existing, sameName, resolution }) => {
+            if (status === 'identical') return;
+
+            if (status === 'new') {
+                const category = { ...incoming };
+                this.categories.push(category);
+                addedCategories.push(category);
+                summary.categories++;
                 return;
             }
-            this.addTagToNote(tag);
+
+            if (resolution === 'both') {
+                const copy = {
+                    ...incoming,
+                    id: sameName ? incoming.id : this.generateId(),
+                    name: this.getUniqueCategoryName(incoming.name)
+                };
+                this.categories.push(copy);
+                addedCategories.push(copy);
+                categoryIdMap.set(incoming.id, copy.id);
+                summary.categories++;
+                return;
+            }
+
+            if (resolution === 'theirs') {
+                existing.name = incoming.name;
+                existing.color = incoming.color;
+                movedCategories.push([existing, incoming.parentId || null]);
+                summary.categories++;
+            }
+            // Same-name categories collapse into the existing one
+            categoryIdMap.set(incoming.id, existing.id);
         });
-        
-        tagInput.value = '';
-    }
 
-    // Add tag to current note
-    addTagToNote(tag) {
-        if (!this.currentNote) return;
-        
-        if (!this.currentNote.tags) {
-            this.currentNote.tags = [];
-        }
-        
-        if (!this.currentNote.tags.includes(tag)) {
-            this.currentNote.tags.push(tag);
-            this.allTags.add(tag);
-            this.updateCurrentTagsDisplay();
-            this.updateAvailableTagsDisplay();
-        }
-    }
+        // Imported notebooks keep their nesting under the ids used here
+        addedCategories.forEach(category => {
+            if (categoryIdMap.has(category.parentId)) category.parentId = categoryIdMap.get(category.parentId);
+        });
+        movedCategories.forEach(([category, parentId]) => {
+            category.parentId = categoryIdMap.has(parentId) ? categoryIdMap.get(parentId) : parentId;
+        });
+        DataSchema.repairCategoryTree(this.categories);
 
-    // Remove tag from current note
-    removeTagFromNote(tag) {
-        if (!this.currentNote || !this.currentNote.tags) return;
-        
-        this.currentNote.tags = this.currentNote.tags.filter(t => t !== tag);
-        this.updateCurrentTagsDisplay();
-        this.updateAvailableTagsDisplay();
-    }
+        const prepare = (note) => ({
+            ...note,
+            category: categoryIdMap.has(note.category) ? categoryIdMap.get(note.category) : note.category
+        });
 
-    // Save tags and close modal
-    saveTags() {
-        this.updateTagsDisplay(this.currentNote.tags);
-        this.closeTagsModal();
-        this.showToast('Tags updated', 'success');
+        plan.notes.forEach(({ status, incoming, existing, resolution }) => {
+            if (status === 'new') {
+                this.notes.push(prepare(incoming));
+                summary.added++;
+                return;
+            }
+            if (status === 'identical') {
+                summary.skipped++;
+                return;
+            }
+
+            let choice = resolution;
+            if (choice === 'newest') {
+                choice = new Date(incoming.modifiedAt) > new Date(existing.modifiedAt) ? 'theirs' : 'mine';
+            }
+
+            const index = this.notes.findIndex(note => note.id === existing.id);
+            if (choice === 'theirs' && index >= 0) {
+                // Keep ours in the history so taking theirs can be undone
+                this.recordNoteVersion(this.notes[index]);
+                this.notes[index] = { ...prepare(incoming), id: existing.id };
+                summary.updated++;
+            } else if (choice === 'both') {
+                this.notes.push({
+                    ...prepare(incoming),
+                    id: this.generateId(),
+                    title: `${incoming.title || 'Untitled'} (imported)`
+                });
+                summary.copied++;
+            } else {
+                summary.skipped++;
+            }
+        });
+
+        plan.tags.forEach(tag => this.allTags.add(tag));
+        this.closeImportModal();
+
+        this.saveUserData();
+        this.extractAllTags();
+        this.renderNotes();
+        this.renderCategories();
+        this.renderTags();
+        this.updateNavigationCounts();
+
+        const parts = [
+            `${summary.added} added`,
+            summary.updated ? `${summary.updated} updated` : '',
+            summary.copied ? `${summary.copied} kept as copies` : '',
+            summary.skipped ? `${summary.skipped} skipped` : '',
+            summary.categories ? `${summary.categories} notebook${summary.categories === 1 ? '' : 's'} added or updated` : ''
+        ].filter(Boolean);
+        this.showToast(`Import complete: ${parts.join(', ')}`, 'success');
     }
 
-    // Close tags modal
-    closeTagsModal() {
-        const modal = document.getElementById('tags-modal');
-        if (modal) {
-            modal.classList.add('hidden');
-        }
+    getUniqueCategoryName(name) {
+        const taken = (candidate) => this.categories.some(c => c.name.toLowerCase() === candidate.toLowerCase());
+        if (!taken(name)) return name;
+
+        let n = 2;
+        while (taken(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
     }
 
-    // Show create tag modal
-    showCreateTagModal() {
-        const modal = document.getElementById('create-tag-modal');
-        const input = document.getElementById('new-tag-input');
-        
-        if (!modal || !input) return;
-        
-        input.value = '';
-        modal.classList.remove('hidden');
-        input.focus();
+    closeImportModal() {
+        const modal = document.getElementById('import-modal');
+        if (modal) modal.classList.add('hidden');
+        this.pendingImport = null;
     }
 
-    // Save new tag
-    saveCreateTag() {
-        const input = document.getElementById('new-tag-input');
-        if (!input) return;
-        
-        const tagName = input.value.trim();
-        if (!tagName) {
-            this.showToast('Tag name is required', 'error');
-            return;
-        }
-        
-        if (tagName.length > 20) {
-            this.showToast('Tag name is too long (max 20 characters)', 'error');
-            return;
+    // ===== URL ACTIONS =====
+    // App shortcuts (/?action=new-note, /?action=search&q=) and
+    // web+privatevault://note/<id> links, which the manifest protocol handler
+    // delivers as /share?url=<link>. The action runs once the vault is unlocked.
+    routeUrlAction() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('action');
+        let urlAction = null;
+
+        if (action === 'new-note') {
+            urlAction = { type: 'new-note' };
+        } else if (action === 'search') {
+            urlAction = { type: 'search', query: params.get('q') || '' };
+        } else if (window.location.pathname === '/share') {
+            urlAction = this.parseVaultLink(params.get('url'));
         }
-        
-        if (this.allTags.has(tagName)) {
-            this.showToast('Tag already exists', 'error');
-            return;
+
+        if (!urlAction) return;
+
+        this.pendingUrlAction = urlAction;
+        history.replaceState(null, '', '/');
+        if (this.currentUser && this.vaultKey) {
+            this.runPendingUrlAction();
         }
-        
-        this.allTags.add(tagName);
-        this.saveUserData();
-        this.renderTags();
-        this.closeCreateTagModal();
-        this.showToast('Tag created', 'success');
     }
 
-    // Close create tag modal
-    closeCreateTagModal() {
-        const modal = document.getElementById('create-tag-modal');
-        if (modal) {
-            modal.classList.add('hidden');
+    parseVaultLink(link) {
+        const match = (link || '').trim().match(/^web\+privatevault:(?:\/\/)?([^/?#]+)\/([^/?#]+)/i);
+        if (!match || match[1].toLowerCase() !== 'note') return null;
+
+        try {
+            return { type: 'open-note', noteId: decodeURIComponent(match[2]) };
+        } catch (error) {
+            return null;
         }
     }
 
-    closeNoteModal() {
-        const modal = document.getElementById('note-modal');
-        if (modal) {
-            modal.classList.add('hidden');
-        }
-        this.currentNote = null;
+    getNoteLink(noteId) {
+        return `web+privatevault://note/${encodeURIComponent(noteId)}`;
     }
 
-    closeAllModals() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.classList.add('hidden');
-        });
-        this.currentNote = null;
+    // Returns true when the pending action opened something
+    runPendingUrlAction() {
+        const urlAction = this.pendingUrlAction;
+        if (!urlAction) return false;
+        this.pendingUrlAction = null;
+
+        switch (urlAction.type) {
+            case 'new-note':
+                this.createNote();
+                return true;
+            case 'search': {
+                const searchInput = document.getElementById('search-input');
+                if (!searchInput) return false;
+                if (urlAction.query) {
+                    searchInput.value = urlAction.query;
+                    this.handleSearch(urlAction.query);
+                }
+                searchInput.focus();
+                return true;
+            }
+            case 'open-note':
+                if (this.notes.some(note => note.id === urlAction.noteId)) {
+                    this.editNote(urlAction.noteId);
+                    return true;
+                }
+                this.showToast('The linked note was not found in this vault', 'error');
+                return false;
+            default:
+                return false;
+        }
     }
 
-    // ===== RICH TEXT EDITOR =====
-    initializeQuillEditor() {
-        const editorContainer = document.getElementById('note-editor');
-        if (!editorContainer || typeof Quill === 'undefined') {
-            console.warn('Quill editor not available, using fallback');
-            this.initializeFallbackEditor();
+    async copyNoteLink() {
+        if (!this.currentNote) return;
+
+        if (!this.notes.some(note => note.id === this.currentNote.id)) {
+            this.showToast('Save the note before copying its link', 'error');
             return;
         }
-        
-        const toolbarOptions = [
-            ['bold', 'italic', 'underline', 'strike'],
-            ['blockquote', 'code-block'],
-            [{ 'header': 1 }, { 'header': 2 }],
-            [{ 'list': 'ordered'}, { 'list': 'bullet' }],
-            [{ 'script': 'sub'}, { 'script': 'super' }],
-            [{ 'indent': '-1'}, { 'indent': '+1' }],
-            ['link'],
-            ['clean']
-        ];
 
+        const link = this.getNoteLink(this.currentNote.id);
         try {
-            this.quillEditor = new Quill('#note-editor', {
-                theme: 'snow',
-                modules: {
-                    toolbar: toolbarOptions
-                },
-                placeholder: 'Start writing your note...'
-            });
-
-            // Add event listeners
-            this.quillEditor.on('text-change', () => {
-                this.updateWordCount();
-                this.scheduleAutoSave();
-            });
+            await navigator.clipboard.writeText(link);
+            this.showToast('Note link copied', 'success');
         } catch (error) {
-            console.warn('Quill initialization failed, using fallback:', error);
-            this.initializeFallbackEditor();
+            console.warn('Clipboard unavailable:', error);
+            prompt('Copy this link to the note:', link);
         }
     }
 
-    // Fallback editor for offline use
-    initializeFallbackEditor() {
-        const editorContainer = document.getElementById('note-editor');
-        if (!editorContainer) return;
-        
-        editorContainer.innerHTML = `
-            <div style="border: 1px solid var(--border-color); border-radius: var(--border-radius);">
-                <div style="padding: 8px; border-bottom: 1px solid var(--border-color); background: var(--bg-secondary);">
-                    <button type="button" onclick="document.execCommand('bold')" style="margin: 0 4px; padding: 4px 8px;">B</button>
-                    <button type="button" onclick="document.execCommand('italic')" style="margin: 0 4px; padding: 4px 8px;">I</button>
-                    <button type="button" onclick="document.execCommand('underline')" style="margin: 0 4px; padding: 4px 8px;">U</button>
-                </div>
-                <div id="fallback-editor" contenteditable="true" style="min-height: 300px; padding: 12px; outline: none;"></div>
-            </div>
-        `;
-        
-        const fallbackEditor = document.getElementById('fallback-editor');
-        
-        this.quillEditor = {
-            root: fallbackEditor,
-            getText: () => fallbackEditor.textContent || '',
-            on: (event, callback) => {
-                if (event === 'text-change') {
-                    fallbackEditor.addEventListener('input', callback);
-                }
-            }
-        };
-        
-        fallbackEditor.addEventListener('input', () => {
-            this.updateWordCount();
-            this.scheduleAutoSave();
+    // ===== ROUTING =====
+    // The view lives in the hash so it survives a refresh and can be
+    // bookmarked: #/<filter>, plus repeated cat=<id> and tag=<name> params for
+    // the selection, match=all for AND tag matching, q=<search> and note=<id>
+    // for the open note. Filter changes and opening a note push history
+    // entries; typing a search and closing a note replace the current one.
+    setupRouting() {
+        window.addEventListener('popstate', () => {
+            if (!this.currentUser || !this.vaultKey || !this.routeReady) return;
+            this.applyRoute(this.parseRoute(window.location.hash));
         });
     }
 
-    updateWordCount() {
-        if (this.quillEditor) {
-            const text = this.quillEditor.getText();
-            const wordCount = this.getWordCount(text);
-            const wordCountEl = document.getElementById('note-word-count');
-            if (wordCountEl) {
-                wordCountEl.textContent = `${wordCount} words`;
-            }
+    parseRoute(hash) {
+        const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+        const params = new URLSearchParams(query);
+        let [filter, value] = path.split('/');
+
+        try {
+            value = value ? decodeURIComponent(value) : null;
+        } catch (error) {
+            value = null;
+        }
+
+        const categories = params.getAll('cat');
+        const tags = params.getAll('tag');
+        // Older links named a single category or tag in the path
+        if (filter === 'category' || filter === 'tag') {
+            if (value) (filter === 'category' ? categories : tags).push(value);
+            filter = 'all';
         }
+
+        return {
+            filter: filter || 'all',
+            categories,
+            tags,
+            tagMode: params.get('match') === 'all' ? 'all' : 'any',
+            query: params.get('q') || '',
+            noteId: params.get('note')
+        };
     }
 
-    // ===== AUTO-SAVE =====
-    setupAutoSave() {
-        this.autoSaveTimeout = null;
+    getRouteHash() {
+        const params = new URLSearchParams();
+        this.activeCategories.forEach(id => params.append('cat', id));
+        this.activeTags.forEach(tag => params.append('tag', tag));
+        if (this.activeTags.length > 1 && this.tagMatchMode === 'all') params.set('match', 'all');
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (this.currentNote && this.isNoteModalOpen()) params.set('note', this.currentNote.id);
+
+        const query = params.toString();
+        return `#/${this.activeFilter}${query ? `?${query}` : ''}`;
     }
 
-    scheduleAutoSave() {
-        if (this.autoSaveTimeout) {
-            clearTimeout(this.autoSaveTimeout);
-        }
-        
-        this.autoSaveTimeout = setTimeout(() => {
-            if (this.currentNote) {
-                this.autoSaveCurrentNote();
-            }
-        }, 2000); // Auto-save after 2 seconds of inactivity
+    isNoteModalOpen() {
+        const modal = document.getElementById('note-modal');
+        return !!modal && !modal.classList.contains('hidden');
     }
 
-    autoSaveCurrentNote() {
-        if (!this.currentNote || !this.quillEditor) return;
-        
-        const titleInput = document.getElementById('note-title-input');
-        if (!titleInput) return;
-        
-        const title = titleInput.value.trim();
-        const content = this.quillEditor.root.innerHTML;
-        const plainText = this.quillEditor.getText().trim();
-        
-        if (!title && !plainText) return; // Don't save empty notes
-        
-        this.currentNote.title = title || 'Untitled';
-        this.currentNote.content = content;
-        this.currentNote.plainText = plainText;
-        this.currentNote.modifiedAt = new Date().toISOString();
-        
-        // Find existing note or create new one
-        const existingIndex = this.notes.findIndex(n => n.id === this.currentNote.id);
-        
-        if (existingIndex >= 0) {
-            this.notes[existingIndex] = this.currentNote;
+    updateRoute({ push = false } = {}) {
+        if (!this.routeReady || this.applyingRoute) return;
+
+        const hash = this.getRouteHash();
+        if (hash === window.location.hash) return;
+
+        if (push) {
+            history.pushState(null, '', hash);
         } else {
-            this.notes.push(this.currentNote);
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    // Called after sign-in: reopen whatever the URL pointed at
+    restoreRoute() {
+        this.applyRoute(this.parseRoute(window.location.hash));
+        this.routeReady = true;
+        this.updateRoute();
+    }
+
+    applyRoute(route) {
+        this.applyingRoute = true;
+
+        try {
+            const known = Array.from(document.querySelectorAll('.nav-item[data-filter]'))
+                .some(item => item.dataset.filter === route.filter);
+            this.setFilterView({ ...route, filter: known ? route.filter : 'all' });
+
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) searchInput.value = route.query;
+            this.handleSearch(route.query);
+
+            const openNoteId = this.currentNote && this.isNoteModalOpen() ? this.currentNote.id : null;
+            if (openNoteId !== route.noteId) {
+                if (openNoteId) {
+                    this.keepCurrentNoteEdits();
+                    this.closeNoteModal();
+                }
+                if (route.noteId && this.notes.some(note => note.id === route.noteId)) {
+                    this.editNote(route.noteId);
+                }
+            }
+        } finally {
+            this.applyingRoute = false;
         }
-        
-        this.saveUserData();
-        this.showToast('Auto-saved', 'success', 1000);
     }
 
-    // ===== CATEGORIES MANAGEMENT =====
-    showCategoryModal(category = null) {
-        const modal = document.getElementById('category-modal');
-        const title = document.getElementById('category-modal-title');
-        const nameInput = document.getElementById('category-name-input');
-        
-        if (!modal || !title || !nameInput) return;
-        
-        if (category) {
-            title.textContent = 'Edit Category';
-            nameInput.value = category.name;
-            this.selectColorOption(category.color);
-        } else {
-            title.textContent = 'Add Category';
-            nameInput.value = '';
-            this.selectColorOption('#3b82f6');
+    // ===== FILE HANDLERS =====
+    // Files opened with Private Vault from the OS arrive through launchQueue
+    // (manifest "file_handlers" -> /import) and wait for a signed-in user.
+    setupFileHandlers() {
+        if (window.location.pathname === '/import') {
+            history.replaceState(null, '', '/');
         }
-        
-        modal.classList.remove('hidden');
-        nameInput.focus();
+
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+
+            try {
+                const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+                this.launchedFiles.push(...files);
+            } catch (error) {
+                console.error('Could not read launched files:', error);
+                this.showToast('Could not open the selected files', 'error');
+                return;
+            }
+
+            if (this.currentUser && this.vaultKey) {
+                this.showLaunchedFiles();
+            } else {
+                this.showAuthMessage('Sign in to open the selected files.', 'success');
+            }
+        });
     }
 
-    saveCategory() {
-        const nameInput = document.getElementById('category-name-input');
-        const selectedColorOption = document.querySelector('.color-option.active');
-        
-        if (!nameInput || !selectedColorOption) return;
-        
-        const name = nameInput.value.trim();
-        const selectedColor = selectedColorOption.dataset.color;
-        
-        if (!name) {
-            this.showToast('Category name is required', 'error');
+    // A single file opens right away; several get a confirmation sheet first
+    showLaunchedFiles() {
+        const files = this.launchedFiles;
+        this.launchedFiles = [];
+        if (files.length === 0) return;
+
+        if (files.length === 1) {
+            this.openFiles(files);
             return;
         }
-        
-        // Check for duplicate category names
-        const existingCategory = this.categories.find(c => c.name.toLowerCase() === name.toLowerCase());
-        if (existingCategory) {
-            this.showToast('Category name already exists', 'error');
-            return;
+
+        const modal = document.getElementById('launch-files-modal');
+        const list = document.getElementById('launch-files-list');
+        if (!modal || !list) return;
+
+        this.pendingLaunchFiles = files;
+        list.innerHTML = files.map((file, index) => `
+            <label class="launch-file">
+                <input type="checkbox" value="${index}" checked>
+                <span class="launch-file-name">${this.escapeHtml(file.name)}</span>
+                <span class="launch-file-action">${/\.(md|markdown|txt)$/i.test(file.name) ? 'New note' : 'Import'}</span>
+            </label>
+        `).join('');
+
+        const confirmBtn = document.getElementById('confirm-launch-files');
+        if (confirmBtn) confirmBtn.textContent = `Open ${files.length} Files`;
+
+        modal.classList.remove('hidden');
+    }
+
+    updateLaunchFilesSelection() {
+        const confirmBtn = document.getElementById('confirm-launch-files');
+        const checked = document.querySelectorAll('#launch-files-list input:checked').length;
+        if (confirmBtn) {
+            confirmBtn.textContent = `Open ${checked} File${checked === 1 ? '' : 's'}`;
+            confirmBtn.disabled = checked === 0;
         }
-        
-        const category = {
-            id: this.generateId(),
-            name: name,
-            color: selectedColor,
-            count: 0
-        };
-        
-        this.categories.push(category);
-        this.saveUserData();
-        this.renderCategories();
-        this.closeCategoryModal();
-        this.showToast('Category created', 'success');
     }
 
-    closeCategoryModal() {
-        const modal = document.getElementById('category-modal');
+    confirmLaunchFiles() {
+        const files = this.pendingLaunchFiles || [];
+        const selected = Array.from(document.querySelectorAll('#launch-files-list input:checked'))
+            .map(input => files[Number(input.value)])
+            .filter(Boolean);
+
+        this.closeLaunchFilesModal();
+        this.openFiles(selected);
+    }
+
+    closeLaunchFilesModal() {
+        const modal = document.getElementById('launch-files-modal');
         if (modal) {
             modal.classList.add('hidden');
         }
+        this.pendingLaunchFiles = null;
     }
 
-    selectColorOption(color) {
-        document.querySelectorAll('.color-option').forEach(option => {
-            option.classList.remove('active');
-            if (option.dataset.color === color) {
-                option.classList.add('active');
+    // Markdown and text files become notes; anything else goes through import
+    async openFiles(files) {
+        const noteFiles = files.filter(file => /\.(md|markdown|txt)$/i.test(file.name));
+        const otherFiles = files.filter(file => !noteFiles.includes(file));
+        const newCategories = [];
+        const created = [];
+
+        for (const file of noteFiles) {
+            try {
+                created.push(this.fileToNote(await file.text(), file.name, newCategories));
+            } catch (error) {
+                console.error('Open file error:', error);
+                this.showToast(`Error opening ${file.name}`, 'error');
             }
-        });
-    }
+        }
 
-    selectColor(element) {
-        document.querySelectorAll('.color-option').forEach(option => {
-            option.classList.remove('active');
-        });
-        element.classList.add('active');
-    }
+        if (created.length > 0) {
+            this.categories.push(...newCategories);
+            this.notes.push(...created);
+            this.saveUserData();
+            this.extractAllTags();
+            this.renderNotes();
+            this.renderCategories();
+            this.renderTags();
+            this.updateNavigationCounts();
 
-    // FIXED: Render categories with proper counting
-    renderCategories() {
-        const container = document.getElementById('categories-list');
-        if (!container) return;
-        
-        if (this.categories.length === 0) {
-            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No categories yet</p>';
-            return;
+            if (created.length === 1 && otherFiles.length === 0) {
+                this.editNote(created[0].id);
+            } else {
+                this.showToast(`Created ${created.length} notes`, 'success');
+            }
         }
-        
-        container.innerHTML = this.categories.map(category => `
-            <div class="category-item ${this.activeCategory === category.id ? 'active' : ''}"
-                 onclick="app.setActiveCategory('${category.id}')">
-                <span class="category-color" style="background-color: ${category.color}"></span>
-                <span class="category-name">${this.escapeHtml(category.name)}</span>
-                <span class="category-count">${this.getCategoryCount(category.id)}</span>
-            </div>
-        `).join('');
-    }
 
-    getCategoryCount(categoryId) {
-        return this.notes.filter(note => note.category === categoryId).length;
+        if (otherFiles.length > 0) {
+            await this.importFiles(otherFiles);
+        }
     }
 
-    // FIXED: Render tags with proper counting
-    renderTags() {
-        const container = document.getElementById('tags-list');
-        if (!container) return;
-        
-        const tagsArray = Array.from(this.allTags);
-        
-        if (tagsArray.length === 0) {
-            container.innerHTML = '<p style="color: var(--text-muted); font-style: italic; padding: 8px;">No tags yet</p>';
-            return;
+    // ===== SHARE TARGET =====
+    // Shared content normally arrives through the service worker's queue; a
+    // first visit (no worker yet) lands here as /share?title=&text=&url=.
+    async collectSharedContent() {
+        // Protocol links also arrive at /share; routeUrlAction() has already
+        // taken those and reset the path
+        if (window.location.pathname === '/share') {
+            const params = new URLSearchParams(window.location.search);
+            const item = this.createSharedItem(params.get('title'), params.get('text'), params.get('url'));
+            if (item) this.shareQueue.push(item);
+            history.replaceState(null, '', '/');
+        }
+
+        if ('caches' in window) {
+            try {
+                const cache = await caches.open(SHARE_QUEUE_CACHE);
+                for (const request of await cache.keys()) {
+                    const response = await cache.match(request);
+                    const payload = response ? await response.json() : {};
+                    const item = this.createSharedItem(payload.title, payload.text, payload.url);
+                    if (item) {
+                        this.shareQueue.push({ ...item, cacheKey: request.url });
+                    } else {
+                        await cache.delete(request);
+                    }
+                }
+            } catch (error) {
+                console.warn('Could not read shared content:', error);
+            }
+        }
+
+        if (this.shareQueue.length > 0 && !this.currentUser) {
+            this.showAuthMessage('Sign in to save the content you shared.', 'success');
         }
-        
-        container.innerHTML = tagsArray.map(tag => `
-            <div class="tag-item ${this.activeTag === tag ? 'active' : ''}"
-                 onclick="app.setActiveTag('${tag}')">
-                <span class="tag-name">#${this.escapeHtml(tag)}</span>
-                <span class="tag-count">${this.getTagCount(tag)}</span>
-            </div>
-        `).join('');
     }
 
-    getTagCount(tag) {
-        return this.notes.filter(note => note.tags && note.tags.includes(tag)).length;
+    createSharedItem(title, text, url) {
+        const item = {
+            title: (title || '').trim(),
+            text: (text || '').trim(),
+            url: (url || '').trim()
+        };
+        return item.title || item.text || item.url ? item : null;
     }
 
-    // ===== NAVIGATION COUNTS =====
-    updateNavigationCounts() {
-        const allCountEl = document.getElementById('all-count');
-        const pinnedCountEl = document.getElementById('pinned-count');
-        const favoritesCountEl = document.getElementById('favorites-count');
-        const recentCountEl = document.getElementById('recent-count');
-        
-        if (allCountEl) allCountEl.textContent = this.notes.length;
-        if (pinnedCountEl) {
-            pinnedCountEl.textContent = this.notes.filter(note => note.isPinned).length;
+    showNextSharedItem() {
+        if (this.shareQueue.length === 0 || !this.currentUser || !this.vaultKey) return;
+
+        const modal = document.getElementById('share-modal');
+        const preview = document.getElementById('share-preview');
+        const targetSelect = document.getElementById('share-append-target');
+        const appendBtn = document.getElementById('append-share');
+        if (!modal || !preview) return;
+
+        const item = this.shareQueue[0];
+        preview.innerHTML = `
+            ${item.title ? `<strong class="share-preview-title">${this.escapeHtml(item.title)}</strong>` : ''}
+            ${item.text ? `<p class="share-preview-text">${this.escapeHtml(item.text)}</p>` : ''}
+            ${item.url ? `<span class="share-preview-url">${this.escapeHtml(item.url)}</span>` : ''}
+            ${this.shareQueue.length > 1 ? `<small>${this.shareQueue.length - 1} more shared item${this.shareQueue.length === 2 ? '' : 's'} waiting</small>` : ''}
+        `;
+
+        const notes = this.getActiveNotes().sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+        if (targetSelect) {
+            targetSelect.innerHTML = `
+                <option value="">Choose a note...</option>
+                ${notes.map(note => `<option value="${note.id}">${this.escapeHtml(note.title || 'Untitled')}</option>`).join('')}
+            `;
+            targetSelect.disabled = notes.length === 0;
         }
-        if (favoritesCountEl) {
-            favoritesCountEl.textContent = this.notes.filter(note => note.isFavorite).length;
+        if (appendBtn) appendBtn.disabled = notes.length === 0;
+
+        modal.classList.remove('hidden');
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
-        if (recentCountEl) {
-            const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-            recentCountEl.textContent = this.notes.filter(note => new Date(note.modifiedAt) > dayAgo).length;
+    }
+
+    getSharedNoteContent(item) {
+        const paragraphs = item.text
+            ? item.text.split('\n').map(line => `<p>${this.escapeHtml(line) || '<br>'}</p>`)
+            : [];
+
+        // Many apps already put the link in the text; don't repeat it
+        if (item.url && !item.text.includes(item.url)) {
+            const url = this.escapeHtml(item.url);
+            paragraphs.push(/^https?:\/\//i.test(item.url)
+                ? `<p><a href="${url}" rel="noopener noreferrer" target="_blank">${url}</a></p>`
+                : `<p>${url}</p>`);
         }
+        return paragraphs.join('');
     }
 
-    // ===== EXPORT/IMPORT =====
-    exportNotes() {
-        if (this.notes.length === 0) {
-            this.showToast('No notes to export', 'error');
+    // Shared items are saved straight away, so closing the editor can't lose them
+    async createNoteFromShare() {
+        const item = await this.takeSharedItem();
+        if (!item) return;
+
+        const title = item.title || item.text.split('\n')[0].slice(0, 80) || item.url;
+        this.createNote({ title: title, content: this.getSharedNoteContent(item) });
+        this.autoSaveCurrentNote();
+    }
+
+    async appendShareToNote() {
+        const targetSelect = document.getElementById('share-append-target');
+        const noteId = targetSelect ? targetSelect.value : '';
+        if (!noteId) {
+            this.showToast('Choose a note to append to', 'error');
             return;
         }
-        
-        const exportData = {
-            notes: this.notes,
-            categories: this.categories,
-            tags: Array.from(this.allTags),
-            exportDate: new Date().toISOString(),
-            version: '2.0'
-        };
-        
-        const dataStr = JSON.stringify(exportData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `private-vault-export-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        this.showToast('Notes exported successfully', 'success');
+
+        const item = await this.takeSharedItem();
+        if (!item) return;
+
+        this.editNote(noteId);
+        if (!this.currentNote || !this.quillEditor) return;
+
+        const heading = item.title ? `<p><strong>${this.escapeHtml(item.title)}</strong></p>` : '';
+        this.quillEditor.root.innerHTML += heading + this.getSharedNoteContent(item);
+        this.updateWordCount();
+        this.autoSaveCurrentNote();
     }
 
-    importNotes() {
-        const fileInput = document.getElementById('file-input');
-        if (fileInput) {
-            fileInput.click();
-        }
+    async discardSharedItem() {
+        await this.takeSharedItem();
+        this.showToast('Shared content discarded', 'info');
+        this.showNextSharedItem();
     }
 
-    handleFileImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
+    // Removes the current item from the queue (and the worker's cache)
+    async takeSharedItem() {
+        const item = this.shareQueue.shift();
+        this.closeShareModal();
+
+        if (item && item.cacheKey && 'caches' in window) {
             try {
-                const importData = JSON.parse(e.target.result);
-                
-                if (importData.notes && Array.isArray(importData.notes)) {
-                    const importCount = importData.notes.length;
-                    
-                    // Merge notes (avoid duplicates by ID)
-                    importData.notes.forEach(importedNote => {
-                        const existingNote = this.notes.find(n => n.id === importedNote.id);
-                        if (!existingNote) {
-                            this.notes.push(importedNote);
-                        }
-                    });
-                    
-                    // Merge categories if they exist
-                    if (importData.categories && Array.isArray(importData.categories)) {
-                        importData.categories.forEach(importedCategory => {
-                            const existingCategory = this.categories.find(c => c.id === importedCategory.id);
-                            if (!existingCategory) {
-                                this.categories.push(importedCategory);
-                            }
-                        });
-                    }
-                    
-                    // Merge tags if they exist
-                    if (importData.tags && Array.isArray(importData.tags)) {
-                        importData.tags.forEach(tag => this.allTags.add(tag));
-                    }
-                    
-                    this.saveUserData();
-                    this.extractAllTags();
-                    this.renderNotes();
-                    this.renderCategories();
-                    this.renderTags();
-                    this.updateNavigationCounts();
-                    
-                    this.showToast(`Imported ${importCount} notes successfully`, 'success');
-                } else {
-                    this.showToast('Invalid file format', 'error');
-                }
+                const cache = await caches.open(SHARE_QUEUE_CACHE);
+                await cache.delete(item.cacheKey);
             } catch (error) {
-                console.error('Import error:', error);
-                this.showToast('Error importing file', 'error');
+                console.warn('Could not remove shared content from queue:', error);
             }
-        };
-        
-        reader.readAsText(file);
-        event.target.value = ''; // Clear file input
+        }
+        return item;
+    }
+
+    // Closing without choosing keeps the item queued for the next sign-in
+    closeShareModal() {
+        const modal = document.getElementById('share-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
     }
 
     // ===== SETTINGS MODAL =====
     showSettingsModal() {
         const modal = document.getElementById('settings-modal');
+        const trashRetentionSelect = document.getElementById('trash-retention');
+        if (trashRetentionSelect) {
+            trashRetentionSelect.value = String(this.settings.trashRetentionDays);
+        }
         if (modal) {
             modal.classList.remove('hidden');
         }
@@ -2068,6 +7570,7 @@ class NotesApp {
                         }
                     }
                     if (e.key === 'Escape') {
+                        this.keepCurrentNoteEdits();
                         this.closeNoteModal();
                     }
                 }
@@ -2094,6 +7597,9 @@ class NotesApp {
             
             // Escape key to close modals
             if (e.key === 'Escape') {
+                if (this.bulkSelectMode && !document.querySelector('.modal:not(.hidden)')) {
+                    this.toggleBulkSelect(false);
+                }
                 this.closeAllModals();
                 
                 // Close dropdowns
@@ -2105,9 +7611,192 @@ class NotesApp {
     }
 
     // ===== BULK OPERATIONS =====
-    toggleBulkSelect() {
-        // Implementation for bulk selection mode
-        this.showToast('Bulk select mode (coming soon)', 'info');
+    toggleBulkSelect(enabled = !this.bulkSelectMode) {
+        this.bulkSelectMode = enabled;
+        this.selectedNoteIds.clear();
+        this.lastSelectedNoteId = null;
+
+        const bulkSelectBtn = document.getElementById('bulk-select');
+        if (bulkSelectBtn) bulkSelectBtn.classList.toggle('active', enabled);
+
+        this.renderNotes();
+    }
+
+    // Shift-click selects every card between the last clicked one and this one
+    toggleNoteSelection(noteId, extendRange = false) {
+        const anchorIndex = this.renderedNoteIds.indexOf(this.lastSelectedNoteId);
+        const targetIndex = this.renderedNoteIds.indexOf(noteId);
+
+        if (extendRange && anchorIndex >= 0 && targetIndex >= 0) {
+            const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+            this.renderedNoteIds.slice(start, end + 1).forEach(id => this.selectedNoteIds.add(id));
+        } else if (this.selectedNoteIds.has(noteId)) {
+            this.selectedNoteIds.delete(noteId);
+        } else {
+            this.selectedNoteIds.add(noteId);
+        }
+
+        this.lastSelectedNoteId = noteId;
+        this.updateSelectionDisplay();
+    }
+
+    selectAllFilteredNotes() {
+        this.getFilteredNotes().forEach(note => this.selectedNoteIds.add(note.id));
+        this.updateSelectionDisplay();
+    }
+
+    clearNoteSelection() {
+        this.selectedNoteIds.clear();
+        this.lastSelectedNoteId = null;
+        this.updateSelectionDisplay();
+    }
+
+    // Updates card state in place so a selection click doesn't re-render the grid
+    updateSelectionDisplay() {
+        document.querySelectorAll('#notes-grid .note-card').forEach(card => {
+            const selected = this.selectedNoteIds.has(card.dataset.noteId);
+            const checkbox = card.querySelector('.note-select');
+            card.classList.toggle('selected', selected);
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.updateBulkActionsBar();
+    }
+
+    updateBulkActionsBar() {
+        const bar = document.getElementById('bulk-actions-bar');
+        const countEl = document.getElementById('bulk-selected-count');
+        const categorySelect = document.getElementById('bulk-category');
+        if (!bar) return;
+
+        bar.classList.toggle('hidden', !this.bulkSelectMode);
+        if (!this.bulkSelectMode) return;
+
+        const count = this.selectedNoteIds.size;
+        if (countEl) countEl.textContent = `${count} selected`;
+
+        const inTrash = this.activeFilter === 'trash';
+        bar.querySelectorAll('[data-bulk-action], #bulk-category, #bulk-tag-input').forEach(control => {
+            const trashOnly = control.dataset.bulkScope === 'trash';
+            const anywhere = control.dataset.bulkScope === 'any';
+            control.classList.toggle('hidden', !anywhere && trashOnly !== inTrash);
+            control.disabled = count === 0;
+        });
+
+        if (categorySelect) {
+            categorySelect.innerHTML = `
+                <option value="">Move to notebook...</option>
+                <option value="__none__">No Notebook</option>
+                ${this.renderNotebookOptions(this.getNotebookOptions())}
+            `;
+        }
+    }
+
+    getSelectedNotes() {
+        return this.notes.filter(note => this.selectedNoteIds.has(note.id));
+    }
+
+    applyBulkAction(action) {
+        const notes = this.getSelectedNotes();
+        if (notes.length === 0) {
+            this.showToast('No notes selected', 'info');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const count = notes.length;
+        const plural = `${count} note${count === 1 ? '' : 's'}`;
+        const tagInput = document.getElementById('bulk-tag-input');
+        const { tag, error: tagError } = this.parseTag(tagInput ? tagInput.value : '');
+
+        switch (action) {
+            case 'pin':
+            case 'unpin':
+                notes.forEach(note => {
+                    note.isPinned = action === 'pin';
+                    note.modifiedAt = now;
+                });
+                break;
+            case 'favorite':
+            case 'unfavorite':
+                notes.forEach(note => {
+                    note.isFavorite = action === 'favorite';
+                    note.modifiedAt = now;
+                });
+                break;
+            case 'add-tag':
+            case 'remove-tag':
+                if (tagInput && !tagInput.value.trim()) {
+                    this.showToast('Enter a tag first', 'error');
+                    return;
+                }
+                if (tagError) {
+                    this.showToast(tagError, 'error');
+                    return;
+                }
+                notes.forEach(note => {
+                    const tags = (note.tags || []).filter(t => t !== tag);
+                    note.tags = action === 'add-tag' ? [...tags, tag] : tags;
+                    note.modifiedAt = now;
+                });
+                if (action === 'add-tag') this.allTags.add(tag);
+                if (tagInput) tagInput.value = '';
+                break;
+            case 'duplicate':
+                notes.forEach(note => this.createDuplicate(note));
+                break;
+            case 'export':
+                this.exportNotes(notes);
+                return;
+            case 'delete':
+                notes.forEach(note => {
+                    note.deletedAt = now;
+                });
+                break;
+            case 'restore':
+                notes.forEach(note => {
+                    note.deletedAt = null;
+                });
+                break;
+            case 'delete-forever':
+                if (!confirm(`Permanently delete ${plural}? This cannot be undone.`)) return;
+                this.notes = this.notes.filter(note => !this.selectedNoteIds.has(note.id));
+                break;
+            default:
+                return;
+        }
+
+        this.saveUserData();
+        this.renderNotes();
+
+        const messages = {
+            pin: `Pinned ${plural}`,
+            unpin: `Unpinned ${plural}`,
+            favorite: `Added ${plural} to favorites`,
+            unfavorite: `Removed ${plural} from favorites`,
+            'add-tag': `Tagged ${plural} with "${tag}"`,
+            'remove-tag': `Removed "${tag}" from ${plural}`,
+            duplicate: `Duplicated ${plural}`,
+            delete: `Moved ${plural} to trash`,
+            restore: `Restored ${plural}`,
+            'delete-forever': `Deleted ${plural}`
+        };
+        this.showToast(messages[action], 'success');
+    }
+
+    bulkMoveToCategory(categoryId) {
+        const notes = this.getSelectedNotes();
+        if (notes.length === 0) return;
+
+        const now = new Date().toISOString();
+        notes.forEach(note => {
+            note.category = categoryId;
+            note.modifiedAt = now;
+        });
+
+        const category = this.categories.find(c => c.id === categoryId);
+        this.saveUserData();
+        this.renderNotes();
+        this.showToast(`Moved ${notes.length} note${notes.length === 1 ? '' : 's'} to ${category ? category.name : 'No Notebook'}`, 'success');
     }
 
     // ===== TOAST NOTIFICATIONS =====
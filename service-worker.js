@@ -1,5 +1,13 @@
-const CACHE_NAME = 'private-vault-v3.0-final';
-const DATA_CACHE_NAME = 'private-vault-data-v3.0';
+const CACHE_NAME = 'private-vault-v3.1';
+
+// Content shared to the app waits here until a signed-in user saves it.
+// Keep in sync with SHARE_QUEUE_CACHE in app.js.
+const SHARE_QUEUE_CACHE = 'private-vault-share-queue';
+
+// Pending note reminders (ids and due times only) written by the app for
+// each user. Keep in sync with REMINDER_CACHE and REMINDER_SYNC_TAG in app.js.
+const REMINDER_CACHE = 'private-vault-reminders';
+const REMINDER_SYNC_TAG = 'note-reminders';
 
 // Enhanced offline support - cache everything needed
 const FILES_TO_CACHE = [
@@ -71,7 +79,8 @@ self.addEventListener('activate', (event) => {
             // Clean old caches
             caches.keys().then((keyList) => {
                 return Promise.all(keyList.map((key) => {
-                    if (key !== CACHE_NAME && key !== DATA_CACHE_NAME) {
+                    // Also drops the old user-data caches; notes now live in IndexedDB
+                    if (key !== CACHE_NAME && key !== SHARE_QUEUE_CACHE && key !== REMINDER_CACHE) {
                         console.log('[ServiceWorker] Removing old cache', key);
                         return caches.delete(key);
                     }
@@ -105,6 +114,12 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // Share target (manifest "share_target" posts title/text/url here)
+    if (url.origin === self.location.origin && url.pathname === '/share') {
+        event.respondWith(handleShareTarget(url));
+        return;
+    }
+    
     // Handle different types of requests
     if (url.origin === self.location.origin) {
         // Same-origin requests - app resources
@@ -166,6 +181,36 @@ async function handleAppRequest(request) {
     }
 }
 
+// Queue shared content, then load the app without it in the address bar
+async function handleShareTarget(url) {
+    const payload = {
+        title: url.searchParams.get('title') || '',
+        text: url.searchParams.get('text') || '',
+        url: url.searchParams.get('url') || '',
+        receivedAt: new Date().toISOString()
+    };
+    
+    // web+privatevault:// links are routed by the app itself, not queued
+    if (/^web\+privatevault:/i.test(payload.url.trim())) {
+        return serveApp();
+    }
+    
+    try {
+        if (payload.title || payload.text || payload.url) {
+            const cache = await caches.open(SHARE_QUEUE_CACHE);
+            const key = `/share-queue/${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            await cache.put(key, new Response(JSON.stringify(payload), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        }
+        return Response.redirect('/', 303);
+    } catch (error) {
+        // The app reads /share?title=&text=&url= itself when nothing was queued
+        console.error('[ServiceWorker] Could not queue shared content:', error);
+        return serveApp();
+    }
+}
+
 // Serve the main app (always works offline)
 async function serveApp() {
     try {
@@ -500,9 +545,6 @@ self.addEventListener('message', (event) => {
             case 'GET_VERSION':
                 event.ports[0]?.postMessage({ version: CACHE_NAME });
                 break;
-            case 'CACHE_USER_DATA':
-                cacheUserData(event.data.users);
-                break;
             case 'CLEAR_CACHE':
                 clearAllCaches();
                 break;
@@ -510,43 +552,6 @@ self.addEventListener('message', (event) => {
     }
 });
 
-// Enhanced user data caching
-async function cacheUserData(users) {
-    try {
-        const cache = await caches.open(DATA_CACHE_NAME);
-        
-        // Cache user data with timestamp
-        const userData = {
-            users: users,
-            timestamp: Date.now(),
-            version: '3.0'
-        };
-        
-        const response = new Response(JSON.stringify(userData), {
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'no-cache'
-            }
-        });
-        
-        await cache.put('/user-data', response);
-        console.log('[ServiceWorker] User data cached for offline use');
-        
-        // Notify all clients
-        const clients = await self.clients.matchAll();
-        clients.forEach(client => {
-            client.postMessage({
-                type: 'USER_DATA_CACHED',
-                success: true,
-                timestamp: userData.timestamp
-            });
-        });
-        
-    } catch (error) {
-        console.error('[ServiceWorker] Failed to cache user data:', error);
-    }
-}
-
 // Clear all caches
 async function clearAllCaches() {
     try {
@@ -603,6 +608,8 @@ self.addEventListener('periodicsync', (event) => {
     
     if (event.tag === 'notes-backup') {
         event.waitUntil(performPeriodicBackup());
+    } else if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(showDueReminders());
     }
 });
 
@@ -624,6 +631,47 @@ async function performPeriodicBackup() {
     }
 }
 
+// Titles are encrypted, so these reminders can only say that a note is due.
+// Shown ones move to "shown" for the app to mark off when it next signs in.
+async function showDueReminders() {
+    try {
+        const cache = await caches.open(REMINDER_CACHE);
+        const now = Date.now();
+
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            const schedule = response ? await response.json() : {};
+            const reminders = Array.isArray(schedule.reminders) ? schedule.reminders : [];
+            const due = reminders.filter(reminder => new Date(reminder.dueAt).getTime() <= now);
+            if (due.length === 0) continue;
+
+            await Promise.all(due.map(reminder => self.registration.showNotification('Note reminder', {
+                body: 'A note you set a reminder for is due',
+                icon: '/icons/icon-192.png',
+                badge: '/icons/icon-192.png',
+                tag: `reminder-${reminder.noteId}`,
+                data: {
+                    url: `/#/all?note=${encodeURIComponent(reminder.noteId)}`,
+                    noteId: reminder.noteId
+                }
+            })));
+
+            const shownAt = new Date(now).toISOString();
+            await cache.put(request, new Response(JSON.stringify({
+                reminders: reminders.filter(reminder => !due.includes(reminder)),
+                shown: [
+                    ...(Array.isArray(schedule.shown) ? schedule.shown : []),
+                    ...due.map(reminder => ({ ...reminder, shownAt }))
+                ]
+            }), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        }
+    } catch (error) {
+        console.error('[ServiceWorker] Reminder check failed:', error);
+    }
+}
+
 // ===== PUSH NOTIFICATIONS =====
 self.addEventListener('push', (event) => {
     console.log('[ServiceWorker] Push received:', event);
@@ -679,6 +727,7 @@ self.addEventListener('notificationclick', (event) => {
     }
     
     const url = event.notification.data?.url || '/';
+    const noteId = event.notification.data?.noteId;
     
     event.waitUntil(
         clients.matchAll({ 
@@ -688,6 +737,10 @@ self.addEventListener('notificationclick', (event) => {
             // Focus existing window if available
             for (const client of clientList) {
                 if (client.url.includes(self.location.origin) && 'focus' in client) {
+                    // Reminders open their note in the window that's already there
+                    if (noteId) {
+                        client.postMessage({ type: 'OPEN_NOTE', noteId });
+                    }
                     return client.focus();
                 }
             }